@@ -0,0 +1,134 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  combinePluginOutputs,
+  formatOutput,
+  parseActionOutputs,
+  writeActionOutputs,
+} = require("../action-outputs.js");
+
+describe("formatOutput", () => {
+  it("writes single-line values as name=value", () => {
+    assert.equal(formatOutput("changed", true), "changed=true\n");
+    assert.equal(formatOutput("commit_sha", null), "commit_sha=\n");
+  });
+
+  it("uses a heredoc delimiter for multiline values", () => {
+    const text = formatOutput("summary", "line 1\nline 2");
+    const match = text.match(/^summary<<(\S+)\nline 1\nline 2\n(\S+)\n$/);
+    assert.ok(match);
+    assert.equal(match[1], match[2]);
+  });
+});
+
+describe("writeActionOutputs", () => {
+  it("appends outputs to GITHUB_OUTPUT", () => {
+    const writes = [];
+    writeActionOutputs(
+      { artifact_ref: "dist/main", changed: false },
+      {
+        env: { GITHUB_OUTPUT: "/tmp/output" },
+        appendFileSync: (file, text) => writes.push([file, text]),
+      },
+    );
+
+    assert.deepEqual(writes, [
+      ["/tmp/output", "artifact_ref=dist/main\nchanged=false\n"],
+    ]);
+  });
+
+  it("does not write files outside of Actions", () => {
+    const text = writeActionOutputs(
+      { changed: true },
+      {
+        env: {},
+        appendFileSync: () => assert.fail("unexpected write"),
+      },
+    );
+    assert.equal(text, "changed=true\n");
+  });
+});
+
+describe("parseActionOutputs", () => {
+  it("reads what formatOutput writes", () => {
+    const text = [
+      formatOutput("changed", true),
+      formatOutput("summary", "line 1\nline 2"),
+      formatOutput("skip_reason", "a=b"),
+    ].join("");
+
+    assert.deepEqual(parseActionOutputs(text), {
+      changed: "true",
+      summary: "line 1\nline 2",
+      skip_reason: "a=b",
+    });
+  });
+});
+
+describe("combinePluginOutputs", () => {
+  const greeter = {
+    name: "greeter",
+    outputs: {
+      artifact_ref: "dist/greeter/main",
+      changed: "true",
+      file_count: "4",
+      skip_reason: "",
+    },
+  };
+  const counter = {
+    name: "counter",
+    outputs: {
+      artifact_ref: "dist/counter/main",
+      changed: "false",
+      file_count: "3",
+      skip_reason: "no generated changes",
+    },
+  };
+
+  it("passes a single plugin's outputs through", () => {
+    const combined = combinePluginOutputs([greeter]);
+
+    assert.deepEqual(
+      { ...combined, results: JSON.parse(combined.results) },
+      {
+        ...greeter.outputs,
+        results: [
+          {
+            name: "greeter",
+            artifactRef: "dist/greeter/main",
+            changed: true,
+            fileCount: 4,
+            skipReason: "",
+          },
+        ],
+      },
+    );
+  });
+
+  it("reports a change when any plugin changed, not only the last one", () => {
+    const combined = combinePluginOutputs([greeter, counter]);
+
+    assert.equal(combined.changed, true);
+    assert.equal(combined.skip_reason, "");
+    assert.equal(combined.artifact_ref, undefined);
+    assert.deepEqual(
+      JSON.parse(combined.results).map(({ name, changed }) => [name, changed]),
+      [
+        ["greeter", true],
+        ["counter", false],
+      ],
+    );
+  });
+
+  it("keeps a skip reason shared by every plugin", () => {
+    const unchanged = { ...greeter, outputs: counter.outputs };
+
+    assert.deepEqual(
+      (({ changed, skip_reason }) => ({ changed, skip_reason }))(
+        combinePluginOutputs([unchanged, counter]),
+      ),
+      { changed: false, skip_reason: "no generated changes" },
+    );
+  });
+});
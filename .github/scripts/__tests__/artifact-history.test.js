@@ -0,0 +1,168 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseHistoryPolicy,
+  resolveArtifactParents,
+} = require("../artifact-history.js");
+
+function createOctokit({ commits }) {
+  const created = [];
+  const octokit = {
+    rest: {
+      git: {
+        getCommit: async ({ commit_sha }) => ({ data: commits[commit_sha] }),
+        createCommit: async (params) => {
+          created.push(params);
+          return { data: { sha: `replayed-${created.length}` } };
+        },
+      },
+    },
+  };
+  return { octokit, created };
+}
+
+function commit(sha, parentSha, { trailers = true } = {}) {
+  return {
+    sha,
+    message: trailers
+      ? `publish ${sha}\n\nSource-Sha: source-${sha}\n`
+      : `publish ${sha}`,
+    tree: { sha: `tree-${sha}` },
+    author: { name: "bot", email: "bot@example.com", date: "2026-01-01" },
+    parents: parentSha ? [{ sha: parentSha }] : [],
+  };
+}
+
+describe("parseHistoryPolicy", () => {
+  it("defaults to append with the default limit", () => {
+    assert.deepEqual(parseHistoryPolicy(undefined, ""), {
+      mode: "append",
+      limit: 10,
+    });
+  });
+
+  it("rejects unknown modes and invalid limits", () => {
+    assert.throws(() => parseHistoryPolicy("rebase", "3"), /history mode/);
+    assert.throws(() => parseHistoryPolicy("capped", "0"), /history limit/);
+  });
+});
+
+describe("resolveArtifactParents", () => {
+  const base = { owner: "owner", repo: "repo", sourceSha: "source" };
+
+  it("appends on top of the artifact head or the source commit", async () => {
+    const policy = parseHistoryPolicy("append");
+    assert.deepEqual(
+      await resolveArtifactParents({ ...base, artifactSha: "a3", policy }),
+      { parents: ["a3"], force: false },
+    );
+    assert.deepEqual(
+      await resolveArtifactParents({ ...base, artifactSha: null, policy }),
+      { parents: ["source"], force: false },
+    );
+  });
+
+  it("creates a parentless commit in squash mode", async () => {
+    const policy = parseHistoryPolicy("squash");
+    assert.deepEqual(
+      await resolveArtifactParents({ ...base, artifactSha: "a3", policy }),
+      { parents: [], force: true },
+    );
+    assert.deepEqual(
+      await resolveArtifactParents({ ...base, artifactSha: null, policy }),
+      { parents: [], force: false },
+    );
+  });
+
+  it("replays the most recent commits onto a new root in capped mode", async () => {
+    const { octokit, created } = createOctokit({
+      commits: {
+        a3: commit("a3", "a2"),
+        a2: commit("a2", "a1"),
+        a1: commit("a1", "source"),
+        source: commit("source", null, { trailers: false }),
+      },
+    });
+
+    const result = await resolveArtifactParents({
+      ...base,
+      octokit,
+      artifactSha: "a3",
+      policy: parseHistoryPolicy("capped", "3"),
+    });
+
+    assert.deepEqual(result, { parents: ["replayed-2"], force: true });
+    assert.deepEqual(
+      created.map(({ tree, parents }) => ({ tree, parents })),
+      [
+        { tree: "tree-a2", parents: [] },
+        { tree: "tree-a3", parents: ["replayed-1"] },
+      ],
+    );
+  });
+
+  it("appends without rewriting when capped history is short enough", async () => {
+    const { octokit, created } = createOctokit({
+      commits: {
+        a2: commit("a2", "a1"),
+        a1: commit("a1", null),
+      },
+    });
+
+    const result = await resolveArtifactParents({
+      ...base,
+      octokit,
+      artifactSha: "a2",
+      policy: parseHistoryPolicy("capped", "5"),
+    });
+
+    assert.deepEqual(result, { parents: ["a2"], force: false });
+    assert.equal(created.length, 0);
+  });
+
+  it("does not count the source commit the history started from", async () => {
+    // The current source commit no longer contains the root one (e.g. after
+    // a force-push), which made a source comparison count source commits.
+    const { octokit, created } = createOctokit({
+      commits: {
+        a2: commit("a2", "a1"),
+        a1: commit("a1", "root-source"),
+        "root-source": commit("root-source", "older-source", {
+          trailers: false,
+        }),
+        "older-source": commit("older-source", null, { trailers: false }),
+      },
+    });
+
+    const result = await resolveArtifactParents({
+      ...base,
+      octokit,
+      artifactSha: "a2",
+      policy: parseHistoryPolicy("capped", "3"),
+    });
+
+    assert.deepEqual(result, { parents: ["a2"], force: false });
+    assert.equal(created.length, 0);
+  });
+
+  it("keeps appending on history published before provenance trailers", async () => {
+    const { octokit, created } = createOctokit({
+      commits: {
+        a3: commit("a3", "a2", { trailers: false }),
+        a2: commit("a2", "a1", { trailers: false }),
+        a1: commit("a1", "source", { trailers: false }),
+      },
+    });
+
+    const result = await resolveArtifactParents({
+      ...base,
+      octokit,
+      artifactSha: "a3",
+      policy: parseHistoryPolicy("capped", "2"),
+    });
+
+    assert.deepEqual(result, { parents: ["a3"], force: false });
+    assert.equal(created.length, 0);
+  });
+});
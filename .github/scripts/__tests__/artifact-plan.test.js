@@ -0,0 +1,206 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("node:child_process");
+
+const {
+  buildPublishPlan,
+  computeBlobSha,
+  fetchArtifactTree,
+  formatPlanDiff,
+} = require("../artifact-plan.js");
+
+function blobEntry(entryPath, content, extra = {}) {
+  return {
+    path: entryPath,
+    mode: "100644",
+    type: "blob",
+    content,
+    ...extra,
+  };
+}
+
+describe("computeBlobSha", () => {
+  it("matches git hash-object for utf-8 content", () => {
+    const expected = execFileSync("git", ["hash-object", "--stdin"], {
+      input: "console.log('artifact');\n",
+    })
+      .toString()
+      .trim();
+    assert.equal(
+      computeBlobSha(blobEntry("dist/index.js", "console.log('artifact');\n")),
+      expected,
+    );
+  });
+
+  it("hashes base64 entries by their decoded bytes", () => {
+    const bytes = Buffer.from([0, 1, 2, 3]);
+    assert.equal(
+      computeBlobSha(
+        blobEntry("bun.lockb", bytes.toString("base64"), {
+          encoding: "base64",
+        }),
+      ),
+      computeBlobSha(blobEntry("bun.lockb", bytes.toString("latin1"))),
+    );
+  });
+});
+
+describe("buildPublishPlan", () => {
+  const unchanged = blobEntry("manifest.json", '{"name":"fixture"}\n');
+  const modified = blobEntry("dist/index.js", "console.log('next');\n");
+  const added = blobEntry("dist/extra.js", "export {};\n");
+  const currentTree = new Map([
+    ["manifest.json", { sha: computeBlobSha(unchanged), size: 19 }],
+    ["dist/index.js", { sha: "0".repeat(40), size: 10 }],
+    ["dist/stale.js", { sha: "1".repeat(40), size: 5 }],
+  ]);
+
+  it("classifies added, removed, modified and unchanged paths", () => {
+    const plan = buildPublishPlan({
+      sourceRef: "main",
+      sourceSha: "source-sha",
+      artifactRef: "dist/main",
+      artifactSha: "artifact-sha",
+      treeEntries: [unchanged, modified, added],
+      currentTree,
+    });
+
+    assert.equal(plan.changed, true);
+    assert.equal(plan.parentSha, "artifact-sha");
+    assert.deepEqual(plan.diff.added, [{ path: "dist/extra.js", size: 11 }]);
+    assert.deepEqual(plan.diff.modified, [
+      { path: "dist/index.js", previousSize: 10, size: 21 },
+    ]);
+    assert.deepEqual(plan.diff.removed, [
+      { path: "dist/stale.js", previousSize: 5 },
+    ]);
+    assert.deepEqual(plan.diff.unchanged, ["manifest.json"]);
+  });
+
+  it("groups chunked parts by their original file", () => {
+    const plan = buildPublishPlan({
+      sourceRef: "main",
+      sourceSha: "source-sha",
+      artifactRef: "dist/main",
+      artifactSha: null,
+      treeEntries: [
+        blobEntry("dist/plugin/index.js.part1", "YWJj", {
+          encoding: "base64",
+          chunkOf: "dist/plugin/index.js",
+        }),
+        blobEntry("dist/plugin/index.js.part2", "ZA==", {
+          encoding: "base64",
+          chunkOf: "dist/plugin/index.js",
+        }),
+      ],
+      currentTree: new Map(),
+    });
+
+    assert.equal(plan.parentSha, "source-sha");
+    assert.deepEqual(plan.chunkedFiles, [
+      {
+        path: "dist/plugin/index.js",
+        parts: ["dist/plugin/index.js.part1", "dist/plugin/index.js.part2"],
+        size: 4,
+      },
+    ]);
+    assert.match(formatPlanDiff(plan), /index\.js \(4 bytes\) -> 2 part\(s\)/);
+  });
+
+  it("reports no changes when the tree matches", () => {
+    const plan = buildPublishPlan({
+      sourceRef: "main",
+      sourceSha: "source-sha",
+      artifactRef: "dist/main",
+      artifactSha: "artifact-sha",
+      treeEntries: [unchanged],
+      currentTree: new Map([
+        ["manifest.json", { sha: computeBlobSha(unchanged), size: 19 }],
+      ]),
+    });
+
+    assert.equal(plan.changed, false);
+    assert.match(formatPlanDiff(plan), /No changes/);
+  });
+
+  it("ignores changes to ignored paths such as the build info", () => {
+    const buildInfo = blobEntry(
+      "dist/build-info.json",
+      '{"builtAt":"2026-01-02T00:00:00.000Z","runId":"2"}\n',
+    );
+    const plan = buildPublishPlan({
+      sourceRef: "main",
+      sourceSha: "source-sha",
+      artifactRef: "dist/main",
+      artifactSha: "artifact-sha",
+      treeEntries: [unchanged, buildInfo],
+      currentTree: new Map([
+        ["manifest.json", { sha: computeBlobSha(unchanged), size: 19 }],
+        ["dist/build-info.json", { sha: "2".repeat(40), size: 50 }],
+      ]),
+      ignoredPaths: ["dist/build-info.json"],
+    });
+
+    assert.equal(plan.changed, false);
+    assert.deepEqual(plan.diff.modified, []);
+    assert.deepEqual(
+      plan.files.map((file) => file.path),
+      ["manifest.json", "dist/build-info.json"],
+    );
+    assert.match(formatPlanDiff(plan), /No changes/);
+  });
+});
+
+describe("fetchArtifactTree", () => {
+  it("returns an empty tree without an artifact commit", async () => {
+    const { treeSha, files } = await fetchArtifactTree(
+      {},
+      "owner",
+      "repo",
+      null,
+    );
+    assert.equal(treeSha, null);
+    assert.equal(files.size, 0);
+  });
+
+  it("keeps only blob entries from the recursive tree", async () => {
+    const octokit = {
+      rest: {
+        git: {
+          getCommit: async () => ({ data: { tree: { sha: "tree-sha" } } }),
+          getTree: async ({ tree_sha, recursive }) => {
+            assert.equal(tree_sha, "tree-sha");
+            assert.equal(recursive, "true");
+            return {
+              data: {
+                truncated: false,
+                tree: [
+                  { path: "dist", type: "tree", sha: "d", mode: "040000" },
+                  {
+                    path: "dist/index.js",
+                    type: "blob",
+                    sha: "b",
+                    size: 3,
+                    mode: "100644",
+                  },
+                ],
+              },
+            };
+          },
+        },
+      },
+    };
+
+    const { treeSha, files } = await fetchArtifactTree(
+      octokit,
+      "owner",
+      "repo",
+      "c",
+    );
+    assert.equal(treeSha, "tree-sha");
+    assert.deepEqual(
+      [...files.entries()],
+      [["dist/index.js", { sha: "b", size: 3, mode: "100644" }]],
+    );
+  });
+});
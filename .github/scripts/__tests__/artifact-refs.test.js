@@ -0,0 +1,222 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  deriveArtifactRef,
+  parseArtifactRef,
+  parseArtifactTemplates,
+  resolveRefs,
+} = require("../artifact-refs.js");
+
+describe("parseArtifactTemplates", () => {
+  it("falls back to the default templates", () => {
+    assert.deepEqual(parseArtifactTemplates({ branch: " ", tag: undefined }), {
+      branch: "{prefix}{ref}",
+      tag: "{prefix}tags/{ref}",
+    });
+  });
+
+  it("rejects templates outside the artifact prefix", () => {
+    assert.throws(
+      () => parseArtifactTemplates({ branch: "builds/{ref}" }),
+      /must start with \{prefix\}/,
+    );
+  });
+
+  it("requires exactly one {ref} placeholder", () => {
+    assert.throws(
+      () => parseArtifactTemplates({ tag: "{prefix}release" }),
+      /must contain \{ref\} exactly once/,
+    );
+    assert.throws(
+      () => parseArtifactTemplates({ tag: "{prefix}{ref}/{ref}" }),
+      /must contain \{ref\} exactly once/,
+    );
+  });
+
+  it("rejects unknown placeholders", () => {
+    assert.throws(
+      () => parseArtifactTemplates({ branch: "{prefix}{owner}/{ref}" }),
+      /unknown placeholder \{owner\}/,
+    );
+  });
+});
+
+describe("deriveArtifactRef with templates", () => {
+  const templates = {
+    branch: "{prefix}branches/{ref}",
+    tag: "{prefix}releases/{ref}",
+  };
+
+  it("renders the branch and tag templates", () => {
+    assert.equal(
+      deriveArtifactRef("feat/x", "dist/", "branch", templates),
+      "dist/branches/feat/x",
+    );
+    assert.equal(
+      deriveArtifactRef("refs/tags/v2.0.0", "dist", "tag", templates),
+      "dist/releases/v2.0.0",
+    );
+  });
+
+  it("keeps branches that already live under the prefix", () => {
+    assert.equal(
+      deriveArtifactRef("dist/branches/main", "dist/", "branch", templates),
+      "dist/branches/main",
+    );
+  });
+});
+
+describe("parseArtifactRef", () => {
+  it("maps default artifact refs back to their source", () => {
+    assert.deepEqual(parseArtifactRef("dist/feat/x", "dist/"), {
+      refType: "branch",
+      sourceRef: "feat/x",
+    });
+    assert.deepEqual(parseArtifactRef("dist/tags/v1.4.0", "dist/"), {
+      refType: "tag",
+      sourceRef: "v1.4.0",
+    });
+  });
+
+  it("inverts custom templates", () => {
+    const templates = {
+      branch: "{prefix}{ref}-build",
+      tag: "{prefix}v/{ref}",
+    };
+    assert.deepEqual(parseArtifactRef("dist/main-build", "dist", templates), {
+      refType: "branch",
+      sourceRef: "main",
+    });
+    assert.deepEqual(parseArtifactRef("dist/v/1.0.0", "dist", templates), {
+      refType: "tag",
+      sourceRef: "1.0.0",
+    });
+    assert.equal(parseArtifactRef("dist/main", "dist", templates), null);
+    assert.equal(parseArtifactRef("other/main-build", "dist", templates), null);
+  });
+});
+
+describe("resolveRefs", () => {
+  it("resolves the triggering branch", () => {
+    assert.deepEqual(
+      resolveRefs({
+        githubRef: "refs/heads/feat/x",
+        githubRefName: "feat/x",
+      }),
+      {
+        sourceRef: "feat/x",
+        sourceRefType: "branch",
+        artifactPrefix: "dist/",
+        artifactRef: "dist/feat/x",
+        isTagRef: false,
+        isArtifactRef: false,
+        shouldSkip: false,
+        skipReason: "",
+      },
+    );
+  });
+
+  it("strips ref prefixes from the sourceRef input and normalizes the prefix", () => {
+    const resolved = resolveRefs({
+      sourceRefInput: "refs/heads/main",
+      artifactPrefixInput: "refs/heads/build",
+      githubRefName: "feat/x",
+    });
+    assert.equal(resolved.sourceRef, "main");
+    assert.equal(resolved.artifactPrefix, "build/");
+    assert.equal(resolved.artifactRef, "build/main");
+  });
+
+  it("detects tags from the input, the event and GITHUB_REF", () => {
+    assert.equal(
+      resolveRefs({ sourceRefInput: "refs/tags/v1.0.0" }).sourceRefType,
+      "tag",
+    );
+    assert.equal(
+      resolveRefs({ sourceRefInput: "v1.0.0", eventRefType: "tag" })
+        .artifactRef,
+      "dist/tags/v1.0.0",
+    );
+    assert.equal(
+      resolveRefs({
+        sourceRefInput: "v1.0.0",
+        githubRef: "refs/tags/v1.0.0",
+        githubRefName: "v1.0.0",
+      }).isTagRef,
+      true,
+    );
+    assert.equal(
+      resolveRefs({
+        sourceRefInput: "main",
+        githubRef: "refs/tags/v1.0.0",
+        githubRefName: "v1.0.0",
+      }).isTagRef,
+      false,
+    );
+  });
+
+  it("skips artifact branches except when pruning", () => {
+    const resolved = resolveRefs({ sourceRefInput: "dist/main" });
+    assert.equal(resolved.isArtifactRef, true);
+    assert.equal(resolved.shouldSkip, true);
+    assert.equal(resolved.skipReason, "artifact refs are ignored");
+
+    const pruned = resolveRefs({
+      action: "prune",
+      sourceRefInput: "dist/main",
+    });
+    assert.equal(pruned.shouldSkip, false);
+    assert.equal(pruned.artifactRef, "");
+  });
+
+  it("applies branch include and exclude globs to publish and plan", () => {
+    const filters = {
+      branchInclude: ["main", "release/**"],
+      branchExclude: ["release/legacy/**"],
+    };
+    assert.equal(
+      resolveRefs({ sourceRefInput: "release/1.x", ...filters }).shouldSkip,
+      false,
+    );
+    assert.equal(
+      resolveRefs({ action: "plan", sourceRefInput: "feat/x", ...filters })
+        .skipReason,
+      "branch 'feat/x' does not match branchInclude",
+    );
+    assert.equal(
+      resolveRefs({ sourceRefInput: "release/legacy/0.9", ...filters })
+        .skipReason,
+      "branch 'release/legacy/0.9' matches branchExclude",
+    );
+  });
+
+  it("never filters tags, deletes or prunes", () => {
+    const filters = { branchInclude: ["main"], branchExclude: ["feat/**"] };
+    assert.equal(
+      resolveRefs({ sourceRefInput: "refs/tags/v1.0.0", ...filters })
+        .shouldSkip,
+      false,
+    );
+    assert.equal(
+      resolveRefs({ action: "delete", sourceRefInput: "feat/x", ...filters })
+        .shouldSkip,
+      false,
+    );
+    assert.equal(
+      resolveRefs({ action: "prune", sourceRefInput: "feat/x", ...filters })
+        .shouldSkip,
+      false,
+    );
+  });
+
+  it("derives the artifact ref from custom templates", () => {
+    assert.equal(
+      resolveRefs({
+        sourceRefInput: "main",
+        templates: { branch: "{prefix}branches/{ref}" },
+      }).artifactRef,
+      "dist/branches/main",
+    );
+  });
+});
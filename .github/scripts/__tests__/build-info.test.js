@@ -0,0 +1,90 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  BUILD_INFO_PATH,
+  appendTrailers,
+  collectBuildInfo,
+  createBuildInfoEntry,
+  formatProvenanceTrailers,
+  parseTrailers,
+} = require("../build-info.js");
+
+const env = {
+  GITHUB_SERVER_URL: "https://github.com",
+  GITHUB_REPOSITORY: "ubiquity-os/example-plugin",
+  GITHUB_RUN_ID: "123",
+  GITHUB_RUN_ATTEMPT: "2",
+  GITHUB_WORKFLOW: "Deploy",
+  GITHUB_EVENT_NAME: "push",
+  BUILD_BUNDLE_SINGLE_FILE: "true",
+  BUILD_TREAT_AS_ESM: "false",
+  BUILD_SOURCEMAP: "false",
+  BUILD_NODE_VERSION: "24.11.0",
+  BUILD_TOOL_VERSION: "esbuild@0.25.0",
+};
+
+function buildInfoFixture() {
+  return collectBuildInfo({
+    sourceRef: "main",
+    sourceSha: "abc123",
+    env,
+    versions: { node: "22.0.0", bun: "1.2.0" },
+    now: () => new Date("2026-03-01T00:00:00Z"),
+  });
+}
+
+describe("collectBuildInfo", () => {
+  it("records source, workflow run, build inputs and tool versions", () => {
+    assert.deepEqual(buildInfoFixture(), {
+      repository: "ubiquity-os/example-plugin",
+      sourceRef: "main",
+      sourceSha: "abc123",
+      builtAt: "2026-03-01T00:00:00.000Z",
+      workflow: {
+        name: "Deploy",
+        event: "push",
+        runId: "123",
+        runAttempt: "2",
+        runUrl:
+          "https://github.com/ubiquity-os/example-plugin/actions/runs/123/attempts/2",
+      },
+      inputs: {
+        bundleSingleFile: "true",
+        treatAsEsm: "false",
+        sourcemap: "false",
+      },
+      tools: { node: "24.11.0", bun: "1.2.0", bundler: "esbuild@0.25.0" },
+    });
+  });
+
+  it("serializes to dist/build-info.json", () => {
+    const entry = createBuildInfoEntry(buildInfoFixture());
+    assert.equal(entry.path, BUILD_INFO_PATH);
+    assert.equal(JSON.parse(entry.content).sourceSha, "abc123");
+  });
+});
+
+describe("provenance trailers", () => {
+  it("appends trailers that round-trip through parseTrailers", () => {
+    const message = appendTrailers(
+      "chore: [skip ci] updated manifest.json and dist build",
+      formatProvenanceTrailers(buildInfoFixture()),
+    );
+
+    assert.match(message, /^chore: \[skip ci\] updated manifest\.json/);
+    assert.deepEqual(parseTrailers(message), {
+      "Source-Ref": "main",
+      "Source-Sha": "abc123",
+      "Workflow-Run":
+        "https://github.com/ubiquity-os/example-plugin/actions/runs/123/attempts/2",
+      "Build-Options":
+        "bundleSingleFile=true, treatAsEsm=false, sourcemap=false",
+      "Build-Tools": "node=24.11.0, bun=1.2.0, bundler=esbuild@0.25.0",
+    });
+  });
+
+  it("returns no trailers for a plain message", () => {
+    assert.deepEqual(parseTrailers("chore: update dist"), {});
+  });
+});
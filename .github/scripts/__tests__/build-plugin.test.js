@@ -0,0 +1,326 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { pathToFileURL } = require("node:url");
+
+const {
+  getNodeBuiltinFlags,
+  hasDefaultExport,
+  parseBuildTarget,
+  planBuild,
+  runBuild,
+  writeEntrypoints,
+} = require("../build-plugin.js");
+
+function createProject() {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "build-plugin-"));
+  fs.mkdirSync(path.join(projectDir, "dist", "plugin"), { recursive: true });
+  return projectDir;
+}
+
+function createSpawn({ failOn } = {}) {
+  const calls = [];
+  const spawn = (command, args, options) => {
+    calls.push({ command, args, options });
+    if (args.includes("--version")) {
+      return { status: 0, stdout: "1.2.3\n" };
+    }
+    if (failOn && args.includes(failOn)) {
+      return { status: 2 };
+    }
+    const outfile = args.find((arg) => arg.startsWith("--outfile="));
+    const outDir = outfile
+      ? path.dirname(outfile.slice("--outfile=".length))
+      : args[args.indexOf("-o") + 1];
+    fs.mkdirSync(path.join(options.cwd, outDir), { recursive: true });
+    fs.writeFileSync(
+      path.join(options.cwd, outDir, "index.js"),
+      'const fs = require("fs");\nconsole.log(__dirname);\n',
+    );
+    return { status: 0 };
+  };
+  return { spawn, calls };
+}
+
+describe("parseBuildTarget", () => {
+  it("defaults to node and normalizes case", () => {
+    assert.equal(parseBuildTarget(undefined), "node");
+    assert.equal(parseBuildTarget(" Worker "), "worker");
+  });
+
+  it("rejects unknown targets", () => {
+    assert.throws(() => parseBuildTarget("bun"), /Invalid build target 'bun'/);
+  });
+});
+
+describe("planBuild", () => {
+  const paths = { pluginEntry: "src/index.ts", schemaPath: "src/schema.ts" };
+
+  it("keeps the ncc build for the node target", () => {
+    const plan = planBuild({ ...paths, sourcemap: true });
+
+    assert.equal(plan.tool, "ncc");
+    assert.deepEqual(plan.steps[0].args, [
+      "src/index.ts",
+      "--external",
+      "./tests",
+      "-m",
+      "-s",
+      "-o",
+      "dist/plugin",
+    ]);
+    assert.deepEqual(plan.steps[1].args.slice(-2), ["-o", "plugin"]);
+  });
+
+  it("uses esbuild for node single-file bundles", () => {
+    const plan = planBuild({ ...paths, bundleSingleFile: true });
+
+    assert.equal(plan.tool, "esbuild");
+    assert.ok(plan.steps[0].args.includes("--platform=node"));
+    assert.ok(plan.steps[0].args.includes("--outfile=dist/plugin/index.js"));
+    assert.ok(!plan.steps[0].args.includes("--sourcemap"));
+  });
+
+  it("bundles worker builds as platform-neutral ESM with node: built-ins", () => {
+    const plan = planBuild({ ...paths, target: "worker" });
+    const [plugin, schema] = plan.steps;
+
+    assert.equal(plan.tool, "esbuild");
+    assert.ok(plugin.args.includes("--platform=neutral"));
+    assert.ok(plugin.args.includes("--format=esm"));
+    assert.ok(plugin.args.includes("--external:node:*"));
+    assert.ok(plugin.args.includes("--alias:fs=node:fs"));
+    assert.ok(plugin.args.includes("--outfile=dist/plugin/index.js"));
+    assert.ok(schema.args.includes("--platform=node"));
+  });
+});
+
+describe("getNodeBuiltinFlags", () => {
+  it("aliases top-level built-ins only", () => {
+    const flags = getNodeBuiltinFlags();
+
+    assert.ok(flags.includes("--alias:crypto=node:crypto"));
+    assert.ok(!flags.some((flag) => flag.startsWith("--alias:fs/")));
+    assert.ok(!flags.some((flag) => flag.startsWith("--alias:node:")));
+    assert.ok(!flags.some((flag) => flag.startsWith("--alias:_")));
+  });
+});
+
+describe("writeEntrypoints", () => {
+  it("writes the CJS reassembly entrypoints by default", () => {
+    const projectDir = createProject();
+    try {
+      assert.deepEqual(writeEntrypoints({ projectDir }), [
+        "dist/index.js",
+        "dist/index.cjs",
+      ]);
+      assert.equal(
+        fs.readFileSync(path.join(projectDir, "dist/index.js"), "utf8"),
+        fs.readFileSync(path.join(__dirname, "../reassembly-cjs.js"), "utf8"),
+      );
+    } finally {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+  });
+
+  it("writes the ESM entrypoint and CJS bridge for treatAsEsm", () => {
+    const projectDir = createProject();
+    try {
+      writeEntrypoints({ projectDir, treatAsEsm: true });
+
+      const bridge = fs.readFileSync(
+        path.join(projectDir, "dist/index.cjs"),
+        "utf8",
+      );
+      assert.match(bridge, /^const entry = import\("\.\/index\.js"\);/);
+      assert.equal(
+        fs.readFileSync(path.join(projectDir, "dist/package.json"), "utf8"),
+        '{"type":"module"}\n',
+      );
+    } finally {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+  });
+
+  it("forwards the ESM entrypoint's load state through the CJS bridge", async () => {
+    const projectDir = createProject();
+    try {
+      writeEntrypoints({ projectDir, treatAsEsm: true });
+      // Stand-in for the reassembly entrypoint, which is covered separately.
+      fs.writeFileSync(
+        path.join(projectDir, "dist/index.js"),
+        [
+          'export let status = "loading";',
+          "export let plugin;",
+          "export const ready = Promise.resolve().then(() => {",
+          '  plugin = { name: "fixture" };',
+          '  status = "ready";',
+          "  return plugin;",
+          "});",
+          "export function health() {",
+          '  return { status, ready: status === "ready" };',
+          "}",
+          "",
+        ].join("\n"),
+      );
+
+      const bridge = require(path.join(projectDir, "dist/index.cjs"));
+      assert.equal(bridge.status, "loading");
+      assert.equal(bridge.plugin, undefined);
+      assert.deepEqual(bridge.health(), { status: "loading", ready: false });
+
+      assert.deepEqual(await bridge.ready, { name: "fixture" });
+      assert.equal(bridge.status, "ready");
+      assert.deepEqual(bridge.plugin, { name: "fixture" });
+      assert.deepEqual(bridge.health(), { status: "ready", ready: true });
+    } finally {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+  });
+
+  it("writes a re-exporting ESM entrypoint for the worker target", async () => {
+    const bundles = {
+      named: 'export const name = "named";\n',
+      default: [
+        'const name = "default";',
+        "var src_default = { fetch() {} };",
+        "export {",
+        "  name,",
+        "  src_default as default",
+        "};",
+        "",
+      ].join("\n"),
+    };
+    for (const [kind, bundle] of Object.entries(bundles)) {
+      const projectDir = createProject();
+      try {
+        fs.writeFileSync(path.join(projectDir, "dist/plugin/index.js"), bundle);
+        writeEntrypoints({ projectDir, target: "worker" });
+
+        const entry = path.join(projectDir, "dist/index.js");
+        assert.doesNotMatch(fs.readFileSync(entry, "utf8"), /node:fs/);
+        const loaded = await import(pathToFileURL(entry).href);
+        assert.equal(loaded.name, kind);
+        assert.equal(
+          typeof loaded.default,
+          kind === "default" ? "object" : "undefined",
+        );
+        assert.equal(
+          fs.existsSync(path.join(projectDir, "dist/index.cjs")),
+          false,
+        );
+        assert.equal(
+          fs.readFileSync(
+            path.join(projectDir, "dist/plugin/package.json"),
+            "utf8",
+          ),
+          '{"type":"module"}\n',
+        );
+      } finally {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+      }
+    }
+  });
+});
+
+describe("hasDefaultExport", () => {
+  it("finds default exports and ignores named ones", () => {
+    assert.equal(hasDefaultExport("export default { fetch() {} };"), true);
+    assert.equal(hasDefaultExport("export { a, b as default };"), true);
+    assert.equal(hasDefaultExport('export { default } from "./x.js";'), true);
+    assert.equal(hasDefaultExport("export { a, default as b };"), false);
+    assert.equal(hasDefaultExport("export const a = 1;"), false);
+  });
+});
+
+describe("runBuild", () => {
+  const env = {
+    PLUGIN_ENTRY: "src/index.ts",
+    SCHEMA_PATH: "src/schema.ts",
+  };
+
+  it("runs each build step with bun x in the project directory", () => {
+    const projectDir = createProject();
+    fs.writeFileSync(path.join(projectDir, "dist", "stale.js"), "");
+    const envFile = path.join(projectDir, "github-env");
+    const { spawn, calls } = createSpawn();
+    try {
+      const status = runBuild({
+        projectDir,
+        env: { ...env, GITHUB_ENV: envFile },
+        spawnSync: spawn,
+      });
+
+      assert.equal(status, 0);
+      assert.deepEqual(calls[0].args, ["x", "@vercel/ncc", "--version"]);
+      assert.deepEqual(calls[1].args.slice(0, 4), [
+        "x",
+        "@vercel/ncc",
+        "build",
+        "src/index.ts",
+      ]);
+      assert.equal(calls[1].options.cwd, projectDir);
+      assert.equal(calls.length, 3);
+      assert.equal(
+        fs.existsSync(path.join(projectDir, "dist", "stale.js")),
+        false,
+      );
+      assert.equal(
+        fs.readFileSync(envFile, "utf8"),
+        "BUILD_TOOL_VERSION=ncc@1.2.3\n",
+      );
+    } finally {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+  });
+
+  it("replaces __dirname and rewrites built-ins for treatAsEsm node builds only", () => {
+    const projectDir = createProject();
+    const bundle = path.join(projectDir, "dist/plugin/index.js");
+    try {
+      runBuild({
+        projectDir,
+        env: { ...env, BUILD_TREAT_AS_ESM: "true" },
+        spawnSync: createSpawn().spawn,
+      });
+      assert.equal(
+        fs.readFileSync(bundle, "utf8"),
+        'const fs = require("node:fs");\nconsole.log(import.meta.dirname);\n',
+      );
+
+      runBuild({
+        projectDir,
+        env: { ...env, BUILD_TREAT_AS_ESM: "true", BUILD_TARGET: "worker" },
+        spawnSync: createSpawn().spawn,
+      });
+      assert.equal(
+        fs.readFileSync(bundle, "utf8"),
+        'const fs = require("fs");\nconsole.log(__dirname);\n',
+      );
+    } finally {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+  });
+
+  it("stops at the first failing step", () => {
+    const projectDir = createProject();
+    const { spawn, calls } = createSpawn({ failOn: "src/index.ts" });
+    try {
+      assert.equal(runBuild({ projectDir, env, spawnSync: spawn }), 2);
+      assert.equal(calls.length, 2);
+    } finally {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+  });
+
+  it("fails on an invalid target without running anything", () => {
+    const { spawn, calls } = createSpawn();
+    assert.equal(
+      runBuild({ env: { ...env, BUILD_TARGET: "edge" }, spawnSync: spawn }),
+      1,
+    );
+    assert.equal(calls.length, 0);
+  });
+});
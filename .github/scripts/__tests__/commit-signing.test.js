@@ -0,0 +1,346 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  createCommitSigner,
+  createCommitSignerFromEnv,
+  formatCommitPayload,
+  parseCommitObject,
+  signCommitParams,
+  verifyCommitSignature,
+} = require("../commit-signing.js");
+
+const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+const identity = {
+  name: "Artifact Publisher",
+  email: "publisher@example.com",
+  date: "2026-01-02T03:04:05Z",
+};
+
+function exec(command, args, options = {}) {
+  const result = spawnSync(command, args, { encoding: "utf8", ...options });
+  assert.equal(
+    result.status,
+    0,
+    `${command} ${args.join(" ")}: ${result.stderr}`,
+  );
+  return result.stdout;
+}
+
+function hasCommand(command) {
+  return !spawnSync(command, ["--version"]).error;
+}
+
+function git(repo, args, options = {}) {
+  return exec("git", ["-C", repo, ...args], options);
+}
+
+// Inserts the signature as a `gpgsig` header, the way GitHub stores it.
+function writeSignedCommit(repo, payload, signature) {
+  const [headers, ...body] = payload.split("\n\n");
+  const header = `gpgsig ${signature.trimEnd().split("\n").join("\n ")}`;
+  return git(repo, ["hash-object", "-w", "-t", "commit", "--stdin"], {
+    input: [`${headers}\n${header}`, ...body].join("\n\n"),
+  }).trim();
+}
+
+describe("formatCommitPayload", () => {
+  it("serializes commits exactly as git does", () => {
+    const repo = fs.mkdtempSync(path.join(os.tmpdir(), "commit-payload-"));
+    try {
+      git(repo, ["init", "-q"]);
+      const parent = git(repo, ["commit-tree", EMPTY_TREE, "-m", "root"], {
+        env: {
+          ...process.env,
+          GIT_AUTHOR_NAME: identity.name,
+          GIT_AUTHOR_EMAIL: identity.email,
+          GIT_AUTHOR_DATE: "1767323045 +0000",
+          GIT_COMMITTER_NAME: identity.name,
+          GIT_COMMITTER_EMAIL: identity.email,
+          GIT_COMMITTER_DATE: "1767323045 +0000",
+        },
+      }).trim();
+
+      const payload = formatCommitPayload({
+        tree: EMPTY_TREE,
+        parents: [parent],
+        author: identity,
+        committer: { ...identity, date: "2026-01-02T04:00:00.000Z" },
+        message: "chore: publish\n\nSource-Sha: abc\n",
+      });
+      const sha = git(repo, ["hash-object", "-w", "-t", "commit", "--stdin"], {
+        input: payload,
+      }).trim();
+
+      assert.equal(git(repo, ["cat-file", "commit", sha]), payload);
+      assert.equal(
+        git(repo, ["log", "-1", "--format=%P %at %ct", sha]).trim(),
+        `${parent} 1767323045 1767326400`,
+      );
+    } finally {
+      fs.rmSync(repo, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("parseCommitObject", () => {
+  it("separates the gpgsig header from the signed payload", () => {
+    const raw = [
+      `tree ${EMPTY_TREE}`,
+      "author A <a@example.com> 1 +0000",
+      "committer A <a@example.com> 1 +0000",
+      "gpgsig -----BEGIN SSH SIGNATURE-----",
+      " abc",
+      " -----END SSH SIGNATURE-----",
+      "",
+      "message",
+      "",
+    ].join("\n");
+
+    assert.deepEqual(parseCommitObject(raw), {
+      payload: `tree ${EMPTY_TREE}\nauthor A <a@example.com> 1 +0000\ncommitter A <a@example.com> 1 +0000\n\nmessage\n`,
+      signature:
+        "-----BEGIN SSH SIGNATURE-----\nabc\n-----END SSH SIGNATURE-----\n",
+    });
+    assert.equal(parseCommitObject("tree x\n\nmessage").signature, null);
+  });
+});
+
+describe(
+  "createCommitSigner with an SSH key",
+  { skip: !hasCommand("ssh-keygen") && "ssh-keygen is not installed" },
+  () => {
+    let dir;
+    let key;
+    let publicKey;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-signing-ssh-"));
+      const keyFile = path.join(dir, "id_ed25519");
+      exec("ssh-keygen", [
+        "-q",
+        "-t",
+        "ed25519",
+        "-N",
+        "",
+        "-C",
+        identity.email,
+        "-f",
+        keyFile,
+      ]);
+      key = fs.readFileSync(keyFile, "utf8");
+      publicKey = fs.readFileSync(`${keyFile}.pub`, "utf8");
+    });
+
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("signs commits that git verifies", () => {
+      const repo = path.join(dir, "repo");
+      git(dir, ["init", "-q", repo]);
+      const signer = createCommitSigner({
+        key,
+        name: identity.name,
+        email: identity.email,
+        now: () => new Date(identity.date),
+      });
+      try {
+        const commit = {
+          tree: EMPTY_TREE,
+          parents: [],
+          message: "chore: publish\n",
+        };
+        const signed = signer.sign(commit);
+
+        assert.equal(signer.format, "ssh");
+        assert.deepEqual(signed.author, identity);
+        assert.deepEqual(signed.committer, identity);
+        assert.match(signed.signature, /^-----BEGIN SSH SIGNATURE-----/);
+
+        const payload = formatCommitPayload({ ...commit, ...signed });
+        const sha = writeSignedCommit(repo, payload, signed.signature);
+        fs.writeFileSync(
+          path.join(dir, "allowed_signers"),
+          `${identity.email} ${publicKey}`,
+        );
+        git(repo, [
+          "-c",
+          "gpg.format=ssh",
+          "-c",
+          `gpg.ssh.allowedSignersFile=${path.join(dir, "allowed_signers")}`,
+          "verify-commit",
+          sha,
+        ]);
+
+        const cli = spawnSync(
+          process.execPath,
+          [
+            path.join(__dirname, "../commit-signing.js"),
+            "verify",
+            sha,
+            `${path.join(dir, "id_ed25519")}.pub`,
+          ],
+          { cwd: repo, encoding: "utf8" },
+        );
+        assert.equal(cli.status, 0, cli.stderr);
+        assert.match(cli.stdout, new RegExp(`Good ssh signature on ${sha}`));
+      } finally {
+        signer.dispose();
+      }
+    });
+
+    it("keeps the original author when replaying commits", () => {
+      const signer = createCommitSigner({ key, email: identity.email });
+      try {
+        const author = {
+          name: "Someone",
+          email: "someone@example.com",
+          date: "2025-05-05T05:05:05Z",
+        };
+        const signed = signer.sign({
+          tree: EMPTY_TREE,
+          parents: [],
+          message: "old",
+          author,
+        });
+
+        assert.deepEqual(signed.author, author);
+        assert.notDeepEqual(signed.committer, author);
+      } finally {
+        signer.dispose();
+      }
+    });
+
+    it("rejects signatures over a different payload", () => {
+      const signer = createCommitSigner({ key, email: identity.email });
+      try {
+        const { signature } = signer.sign({
+          tree: EMPTY_TREE,
+          parents: [],
+          message: "a",
+        });
+        assert.throws(
+          () =>
+            verifyCommitSignature({
+              payload: "tampered",
+              signature,
+              publicKey,
+              email: identity.email,
+            }),
+          /Commit signature verification failed/,
+        );
+      } finally {
+        signer.dispose();
+      }
+    });
+  },
+);
+
+describe(
+  "createCommitSigner with a GPG key",
+  { skip: !hasCommand("gpg") && "gpg is not installed" },
+  () => {
+    let home;
+    let key;
+
+    before(() => {
+      home = fs.mkdtempSync(path.join(os.tmpdir(), "commit-signing-gpg-"));
+      const gpg = ["--batch", "--homedir", home];
+      exec("gpg", [
+        ...gpg,
+        "--passphrase",
+        "secret",
+        "--quick-gen-key",
+        `${identity.name} <${identity.email}>`,
+        "ed25519",
+        "sign",
+        "never",
+      ]);
+      key = exec("gpg", [
+        ...gpg,
+        "--pinentry-mode",
+        "loopback",
+        "--passphrase",
+        "secret",
+        "--armor",
+        "--export-secret-keys",
+      ]);
+    });
+
+    after(() => {
+      spawnSync("gpgconf", ["--homedir", home, "--kill", "gpg-agent"]);
+      fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it("signs commits with a passphrase-protected key that git verifies", () => {
+      const repo = path.join(home, "repo");
+      git(home, ["init", "-q", repo]);
+      const signer = createCommitSigner({
+        key,
+        passphrase: "secret",
+        name: identity.name,
+        email: identity.email,
+      });
+      try {
+        const commit = {
+          tree: EMPTY_TREE,
+          parents: [],
+          message: "chore: publish\n",
+        };
+        const signed = signer.sign(commit);
+
+        assert.equal(signer.format, "gpg");
+        assert.match(signed.signature, /^-----BEGIN PGP SIGNATURE-----/);
+
+        const sha = writeSignedCommit(
+          repo,
+          formatCommitPayload({ ...commit, ...signed }),
+          signed.signature,
+        );
+        git(repo, ["verify-commit", sha], {
+          env: { ...process.env, GNUPGHOME: home },
+        });
+        const { payload, signature } = parseCommitObject(
+          git(repo, ["cat-file", "commit", sha]),
+        );
+        assert.equal(
+          verifyCommitSignature({
+            payload,
+            signature,
+            publicKey: signer.publicKey,
+          }),
+          "gpg",
+        );
+      } finally {
+        signer.dispose();
+      }
+    });
+  },
+);
+
+describe("createCommitSignerFromEnv", () => {
+  it("leaves commits unsigned without a key", () => {
+    assert.equal(createCommitSignerFromEnv({}), null);
+    assert.equal(createCommitSignerFromEnv({ SIGNING_KEY: " " }), null);
+  });
+
+  it("rejects keys that are neither GPG nor OpenSSH private keys", () => {
+    assert.throws(
+      () =>
+        createCommitSignerFromEnv({ SIGNING_KEY: "ssh-ed25519 AAAA public" }),
+      /must be an ASCII-armored GPG private key or an OpenSSH private key/,
+    );
+  });
+});
+
+describe("signCommitParams", () => {
+  it("returns the parameters unchanged without a signer", () => {
+    const params = { tree: EMPTY_TREE, parents: [], message: "m" };
+    assert.equal(signCommitParams(params, null), params);
+  });
+});
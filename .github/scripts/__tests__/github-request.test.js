@@ -0,0 +1,187 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  getRetryDelayMs,
+  isRetryableError,
+  mapWithConcurrency,
+  withRetry,
+} = require("../github-request.js");
+
+function httpError(status, { headers = {}, message = "" } = {}) {
+  const error = new Error(message || `HTTP ${status}`);
+  error.status = status;
+  error.response = { headers, data: { message } };
+  return error;
+}
+
+describe("isRetryableError", () => {
+  it("retries 429 and transient 5xx responses", () => {
+    assert.equal(isRetryableError(httpError(429)), true);
+    assert.equal(isRetryableError(httpError(502)), true);
+    assert.equal(isRetryableError(httpError(503)), true);
+  });
+
+  it("retries rate limit 403s only", () => {
+    assert.equal(
+      isRetryableError(
+        httpError(403, {
+          message: "You have exceeded a secondary rate limit.",
+        }),
+      ),
+      true,
+    );
+    assert.equal(
+      isRetryableError(
+        httpError(403, { headers: { "x-ratelimit-remaining": "0" } }),
+      ),
+      true,
+    );
+    assert.equal(
+      isRetryableError(httpError(403, { message: "Resource not accessible" })),
+      false,
+    );
+  });
+
+  it("does not retry client errors", () => {
+    assert.equal(isRetryableError(httpError(404)), false);
+    assert.equal(isRetryableError(httpError(422)), false);
+  });
+
+  it("retries network failures", () => {
+    const error = new Error("socket hang up");
+    error.code = "ECONNRESET";
+    assert.equal(isRetryableError(error), true);
+  });
+});
+
+describe("getRetryDelayMs", () => {
+  it("honors retry-after", () => {
+    assert.equal(
+      getRetryDelayMs(httpError(429, { headers: { "retry-after": "7" } }), 1),
+      7000,
+    );
+  });
+
+  it("waits for x-ratelimit-reset when the quota is exhausted", () => {
+    const error = httpError(403, {
+      headers: { "x-ratelimit-remaining": "0", "x-ratelimit-reset": "110" },
+    });
+    assert.equal(getRetryDelayMs(error, 1, { now: () => 100 * 1000 }), 11000);
+  });
+
+  it("backs off exponentially up to the cap", () => {
+    const options = { baseDelayMs: 100, maxDelayMs: 500 };
+    assert.equal(getRetryDelayMs(httpError(502), 1, options), 100);
+    assert.equal(getRetryDelayMs(httpError(502), 3, options), 400);
+    assert.equal(getRetryDelayMs(httpError(502), 5, options), 500);
+  });
+});
+
+describe("withRetry", () => {
+  it("retries until the request succeeds and logs each retry", async () => {
+    const delays = [];
+    const logs = [];
+    let attempts = 0;
+
+    const result = await withRetry(
+      "POST /git/blobs",
+      async () => {
+        attempts++;
+        if (attempts < 3) {
+          throw httpError(502);
+        }
+        return "ok";
+      },
+      {
+        baseDelayMs: 10,
+        sleep: async (ms) => delays.push(ms),
+        log: (message) => logs.push(message),
+      },
+    );
+
+    assert.equal(result, "ok");
+    assert.equal(attempts, 3);
+    assert.deepEqual(delays, [10, 20]);
+    assert.equal(logs.length, 2);
+    assert.match(logs[0], /POST \/git\/blobs failed \(502/);
+  });
+
+  it("rethrows non-retryable errors immediately", async () => {
+    let attempts = 0;
+    await assert.rejects(
+      withRetry("GET /git/ref", async () => {
+        attempts++;
+        throw httpError(404);
+      }),
+      { status: 404 },
+    );
+    assert.equal(attempts, 1);
+  });
+
+  it("gives up after the configured retries", async () => {
+    let attempts = 0;
+    await assert.rejects(
+      withRetry(
+        "POST /git/blobs",
+        async () => {
+          attempts++;
+          throw httpError(429);
+        },
+        { retries: 2, sleep: async () => {}, log: () => {} },
+      ),
+      { status: 429 },
+    );
+    assert.equal(attempts, 3);
+  });
+
+  it("fails instead of waiting for a rate limit reset beyond the cap", async () => {
+    let attempts = 0;
+    const delays = [];
+    await assert.rejects(
+      withRetry(
+        "GET /git/ref",
+        async () => {
+          attempts++;
+          throw httpError(403, {
+            headers: {
+              "x-ratelimit-remaining": "0",
+              "x-ratelimit-reset": "3700",
+            },
+          });
+        },
+        {
+          maxDelayMs: 60 * 1000,
+          now: () => 100 * 1000,
+          sleep: async (ms) => delays.push(ms),
+          log: () => {},
+        },
+      ),
+      /GET \/git\/ref is rate limited for another 3601s, longer than the 60s retry limit/,
+    );
+    assert.equal(attempts, 1);
+    assert.deepEqual(delays, []);
+  });
+});
+
+describe("mapWithConcurrency", () => {
+  it("bounds in-flight calls and preserves order", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const results = await mapWithConcurrency(
+      [1, 2, 3, 4, 5],
+      2,
+      async (value) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        inFlight--;
+        return value * 2;
+      },
+    );
+
+    assert.deepEqual(results, [2, 4, 6, 8, 10]);
+    assert.equal(maxInFlight, 2);
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildPublishPlan } = require("../artifact-plan.js");
+const {
+  diffManifests,
+  formatBytes,
+  formatJobSummary,
+  writeJobSummary,
+} = require("../job-summary.js");
+
+function blobEntry(entryPath, content, chunkOf) {
+  const entry = { path: entryPath, mode: "100644", type: "blob", content };
+  if (chunkOf) {
+    entry.chunkOf = chunkOf;
+  }
+  return entry;
+}
+
+describe("formatBytes", () => {
+  it("uses binary units", () => {
+    assert.equal(formatBytes(512), "512 B");
+    assert.equal(formatBytes(1536), "1.5 KB");
+    assert.equal(formatBytes(-3 * 1024 * 1024), "-3.0 MB");
+  });
+});
+
+describe("diffManifests", () => {
+  it("reports scalar, list and object changes", () => {
+    const changes = diffManifests(
+      {
+        name: "plugin",
+        short_name: "owner/repo@main",
+        "ubiquity:listeners": ["issues.opened", "issue_comment.created"],
+        commands: { hello: { description: "Say hi" } },
+      },
+      {
+        name: "plugin",
+        short_name: "owner/repo@v2",
+        "ubiquity:listeners": ["issues.opened", "issues.closed"],
+        commands: { hello: { description: "Say hello" }, bye: {} },
+        homepage_url: "https://example.com",
+      },
+    );
+
+    assert.deepEqual(changes, [
+      "`commands`: added `bye`; changed `hello`",
+      "`homepage_url` added",
+      '`short_name`: `"owner/repo@main"` → `"owner/repo@v2"`',
+      '`ubiquity:listeners`: added `"issues.closed"`; removed `"issue_comment.created"`',
+    ]);
+  });
+
+  it("treats a missing previous manifest as all additions", () => {
+    assert.deepEqual(diffManifests(null, { name: "plugin" }), ["`name` added"]);
+  });
+});
+
+describe("formatJobSummary", () => {
+  const previousTree = new Map([
+    ["manifest.json", { sha: "old-manifest", size: 10 }],
+    ["dist/old.js", { sha: "old-js", size: 2048 }],
+  ]);
+  const treeEntries = [
+    blobEntry("manifest.json", '{"name":"plugin"}\n'),
+    blobEntry("dist/index.js.part1", "aaaa", "dist/index.js"),
+    blobEntry("dist/index.js.part2", "bb", "dist/index.js"),
+  ];
+  const plan = buildPublishPlan({
+    sourceRef: "main",
+    sourceSha: "0123456789abcdef",
+    artifactRef: "dist/main",
+    artifactSha: "artifact",
+    treeEntries,
+    currentTree: previousTree,
+  });
+
+  it("lists the diff, chunked files, manifest changes and every file", () => {
+    const summary = formatJobSummary({
+      plan,
+      artifactRef: "dist/main",
+      sourceRef: "main",
+      sourceSha: "0123456789abcdef",
+      result: { changed: true, commitSha: "fedcba9876543210", skipReason: "" },
+      previousTotalSize: 2058,
+      manifestChanges: ["`name` added"],
+    });
+
+    assert.match(summary, /^### Artifact `dist\/main`/);
+    assert.match(summary, /Published `fedcba9` from `main` @ `0123456`\./);
+    assert.match(
+      summary,
+      /\*\*3\*\* file\(s\), \*\*24 B\*\* total \(-2\.0 KB\)/,
+    );
+    assert.match(
+      summary,
+      /\| added \| `dist\/index\.js\.part1` \| 4 B \| \+4 B \|/,
+    );
+    assert.match(summary, /\| changed \| `manifest\.json` \| 18 B \| \+8 B \|/);
+    assert.match(summary, /\| removed \| `dist\/old\.js` \| - \| -2\.0 KB \|/);
+    assert.match(summary, /\| `dist\/index\.js` \| 6 B \| 2 \|/);
+    assert.match(summary, /#### Manifest changes\n\n- `name` added/);
+    assert.match(summary, /<summary>All artifact files \(3\)<\/summary>/);
+  });
+
+  it("explains why nothing was published", () => {
+    const summary = formatJobSummary({
+      plan: null,
+      artifactRef: "dist/main",
+      sourceRef: "main",
+      sourceSha: "0123456789abcdef",
+      result: {
+        changed: false,
+        commitSha: "artifact",
+        skipReason: "artifact branch already has a newer source build",
+      },
+    });
+
+    assert.equal(
+      summary,
+      "### Artifact `dist/main`\n\nNothing published from `main` @ `0123456` (artifact branch already has a newer source build).\n",
+    );
+  });
+});
+
+describe("writeJobSummary", () => {
+  it("appends to GITHUB_STEP_SUMMARY when it is set", () => {
+    const writes = [];
+    const appendFileSync = (file, text) => writes.push([file, text]);
+
+    assert.equal(
+      writeJobSummary("# hi\n", {
+        env: { GITHUB_STEP_SUMMARY: "/tmp/summary" },
+        appendFileSync,
+      }),
+      true,
+    );
+    assert.equal(writeJobSummary("# hi\n", { env: {}, appendFileSync }), false);
+    assert.deepEqual(writes, [["/tmp/summary", "# hi\n"]]);
+  });
+});
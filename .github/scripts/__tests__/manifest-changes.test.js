@@ -0,0 +1,167 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  classifyManifestChanges,
+  formatManifestChangeReport,
+  parseBreakingChangePolicy,
+} = require("../manifest-changes.js");
+
+function manifest(overrides = {}) {
+  return {
+    name: "example-plugin",
+    short_name: "ubiquity-os/example-plugin@main",
+    "ubiquity:listeners": ["issue_comment.created", "issues.opened"],
+    commands: {
+      hello: {
+        description: "Say hello",
+        parameters: {
+          type: "object",
+          properties: { name: { type: "string" } },
+        },
+      },
+      bye: { description: "Say bye" },
+    },
+    configuration: {
+      type: "object",
+      properties: {
+        greeting: { type: "string", default: "hi" },
+        retries: { type: "number" },
+      },
+    },
+    skipBotEvents: true,
+    ...overrides,
+  };
+}
+
+describe("classifyManifestChanges", () => {
+  it("finds nothing for identical manifests or a first publish", () => {
+    assert.deepEqual(classifyManifestChanges(manifest(), manifest()), {
+      breaking: [],
+      nonBreaking: [],
+    });
+    assert.deepEqual(classifyManifestChanges(null, manifest()), {
+      breaking: [],
+      nonBreaking: [],
+    });
+  });
+
+  it("treats removed listeners and commands as breaking", () => {
+    const next = manifest({
+      "ubiquity:listeners": ["issue_comment.created", "issues.closed"],
+      commands: { hello: manifest().commands.hello, wave: {} },
+    });
+
+    assert.deepEqual(classifyManifestChanges(manifest(), next), {
+      breaking: [
+        "listener `issues.opened` was removed",
+        "command `/bye` was removed",
+      ],
+      nonBreaking: [
+        "listener `issues.closed` was added",
+        "command `/wave` was added",
+      ],
+    });
+  });
+
+  it("flags newly required configuration without defaults", () => {
+    const next = manifest({
+      configuration: {
+        type: "object",
+        properties: {
+          greeting: { type: "string", default: "hi" },
+          retries: { type: "number" },
+          token: { type: "string" },
+          locale: { type: "string", default: "en" },
+        },
+        required: ["greeting", "retries", "token", "locale"],
+      },
+    });
+
+    assert.deepEqual(classifyManifestChanges(manifest(), next), {
+      breaking: [
+        "configuration.retries is now required and has no default",
+        "configuration.token was added as a required property without a default",
+      ],
+      nonBreaking: ["configuration.locale was added"],
+    });
+  });
+
+  it("flags type changes and removals from closed schemas", () => {
+    const next = manifest({
+      commands: {
+        ...manifest().commands,
+        hello: {
+          description: "Say hello",
+          parameters: {
+            type: "object",
+            properties: { name: { type: ["string", "null"] } },
+          },
+        },
+      },
+      configuration: {
+        type: "object",
+        properties: { greeting: { type: "string", default: "hi" } },
+        additionalProperties: false,
+      },
+    });
+
+    assert.deepEqual(classifyManifestChanges(manifest(), next).breaking, [
+      "command `/hello` parameter.name changed type from string to null|string",
+      "configuration.retries was removed and additional properties are not allowed",
+    ]);
+  });
+
+  it("walks nested configuration objects", () => {
+    const previous = manifest({
+      configuration: {
+        type: "object",
+        properties: {
+          limits: { type: "object", properties: { max: { type: "number" } } },
+        },
+      },
+    });
+    const next = manifest({
+      configuration: {
+        type: "object",
+        properties: {
+          limits: {
+            type: "object",
+            properties: { max: { type: "number" } },
+            required: ["max"],
+          },
+        },
+      },
+    });
+
+    assert.deepEqual(classifyManifestChanges(previous, next).breaking, [
+      "configuration.limits.max is now required and has no default",
+    ]);
+  });
+});
+
+describe("parseBreakingChangePolicy", () => {
+  it("defaults to warn and rejects unknown policies", () => {
+    assert.equal(parseBreakingChangePolicy(""), "warn");
+    assert.equal(parseBreakingChangePolicy("Block"), "block");
+    assert.throws(
+      () => parseBreakingChangePolicy("ignore"),
+      /breaking change policy/,
+    );
+  });
+});
+
+describe("formatManifestChangeReport", () => {
+  it("lists breaking and non-breaking changes", () => {
+    assert.equal(
+      formatManifestChangeReport(
+        {
+          breaking: ["command `/bye` was removed"],
+          nonBreaking: ["listener `push` was added"],
+        },
+        "Publishing was blocked.",
+      ),
+      "#### Breaking manifest changes\n\nPublishing was blocked.\n\n- command `/bye` was removed\n\nNon-breaking:\n\n- listener `push` was added\n",
+    );
+  });
+});
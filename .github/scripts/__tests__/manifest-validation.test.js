@@ -0,0 +1,128 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  validateJsonSchema,
+  validateManifest,
+  validateManifestContent,
+} = require("../manifest-validation.js");
+
+const context = { repository: "ubiquity-os/example-plugin", ref: "main" };
+
+function validManifest() {
+  return {
+    name: "example-plugin",
+    description: "Example",
+    short_name: "ubiquity-os/example-plugin@main",
+    "ubiquity:listeners": ["issue_comment.created", "push"],
+    commands: {
+      hello: {
+        description: "Say hello",
+        "ubiquity:example": "/hello",
+        parameters: { type: "object", properties: {} },
+      },
+    },
+    configuration: {
+      type: "object",
+      properties: {
+        greeting: { type: "string", default: "hi" },
+        limits: { type: "array", items: { type: "integer" } },
+      },
+      required: ["greeting"],
+    },
+    skipBotEvents: true,
+  };
+}
+
+describe("validateManifest", () => {
+  it("accepts a generated manifest", () => {
+    assert.deepEqual(validateManifest(validManifest(), context), []);
+  });
+
+  it("accepts manifests without commands", () => {
+    const manifest = validManifest();
+    delete manifest.commands;
+    assert.deepEqual(validateManifest(manifest, context), []);
+  });
+
+  it("reports missing and mistyped top-level fields", () => {
+    assert.deepEqual(
+      validateManifest(
+        { name: "", short_name: "x@y", skipBotEvents: "true" },
+        context,
+      ),
+      [
+        "`name` must be a non-empty string",
+        '`short_name` is "x@y", expected "ubiquity-os/example-plugin@main"',
+        "`ubiquity:listeners` is missing",
+        "`configuration` is missing",
+        "`skipBotEvents` must be a boolean",
+      ],
+    );
+  });
+
+  it("rejects unknown listener events", () => {
+    const manifest = validManifest();
+    manifest["ubiquity:listeners"] = [
+      "issues.opened",
+      "issue.opened",
+      "Issues.Opened",
+    ];
+    assert.deepEqual(validateManifest(manifest, context), [
+      '`ubiquity:listeners` contains unknown event "issue.opened"',
+      '`ubiquity:listeners` contains unknown event "Issues.Opened"',
+    ]);
+  });
+
+  it("checks the commands shape", () => {
+    const manifest = validManifest();
+    manifest.commands = {
+      "bad name": { description: "x" },
+      empty: { description: "" },
+      schema: { description: "x", parameters: { type: "text" } },
+    };
+    assert.deepEqual(validateManifest(manifest, context), [
+      '`commands` has invalid command name "bad name"',
+      "/commands/empty/description must be a non-empty string",
+      '/commands/schema/parameters/type must be one of array, boolean, integer, null, number, object, string (got "text")',
+    ]);
+  });
+
+  it("only checks short_name format when the ref is unknown", () => {
+    const manifest = validManifest();
+    manifest.short_name = "someone/else@v1";
+    assert.deepEqual(validateManifest(manifest), []);
+  });
+});
+
+describe("validateJsonSchema", () => {
+  it("walks nested subschemas", () => {
+    assert.deepEqual(
+      validateJsonSchema(
+        {
+          type: "object",
+          properties: {
+            nested: {
+              anyOf: [{ type: "string" }, { type: ["number", "nope"] }],
+            },
+            list: { type: "array", items: "string" },
+          },
+          required: "nested",
+        },
+        "/configuration",
+      ),
+      [
+        "/configuration/required must be an array of property names",
+        '/configuration/properties/nested/anyOf/1/type must be one of array, boolean, integer, null, number, object, string (got ["number","nope"])',
+        "/configuration/properties/list/items must be a JSON Schema object or boolean",
+      ],
+    );
+  });
+});
+
+describe("validateManifestContent", () => {
+  it("reports invalid JSON", () => {
+    const [error] = validateManifestContent("{ nope", context);
+    assert.match(error, /^manifest\.json is not valid JSON/);
+  });
+});
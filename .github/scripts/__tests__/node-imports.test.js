@@ -0,0 +1,123 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  isBareBuiltin,
+  rewriteNodeImports,
+  rewriteNodeImportsInDir,
+} = require("../node-imports.js");
+
+describe("isBareBuiltin", () => {
+  it("matches bare built-ins and their subpaths only", () => {
+    assert.equal(isBareBuiltin("fs"), true);
+    assert.equal(isBareBuiltin("fs/promises"), true);
+    assert.equal(isBareBuiltin("node:fs"), false);
+    assert.equal(isBareBuiltin("fsevents"), false);
+    assert.equal(isBareBuiltin("./fs"), false);
+  });
+});
+
+describe("rewriteNodeImports", () => {
+  it("rewrites static, dynamic and re-exported ESM specifiers", () => {
+    const { code, rewrites } = rewriteNodeImports(
+      [
+        'import fs from "fs";',
+        "import { readFile } from 'fs/promises';",
+        'import { z } from "zod";',
+        'export { join } from "path";',
+        'export * from "url";',
+        'const os = await import("os");',
+      ].join("\n"),
+    );
+
+    assert.equal(rewrites, 5);
+    assert.equal(
+      code,
+      [
+        'import fs from "node:fs";',
+        "import { readFile } from 'node:fs/promises';",
+        'import { z } from "zod";',
+        'export { join } from "node:path";',
+        'export * from "node:url";',
+        'const os = await import("node:os");',
+      ].join("\n"),
+    );
+  });
+
+  it("rewrites require calls in CommonJS output", () => {
+    const { code } = rewriteNodeImports(
+      'var a = require("crypto"), b = require("node:fs");\nreturn;\n',
+    );
+
+    assert.equal(
+      code,
+      'var a = require("node:crypto"), b = require("node:fs");\nreturn;\n',
+    );
+  });
+
+  it("leaves strings, templates and comments that mention built-ins alone", () => {
+    const source = [
+      '// import fs from "fs"',
+      'const help = \'use require("fs") or from "path"\';',
+      'const snippet = `import os from "os"`;',
+      'load("fs");',
+      "",
+    ].join("\n");
+
+    assert.deepEqual(rewriteNodeImports(source), { code: source, rewrites: 0 });
+  });
+
+  it("throws when the file cannot be parsed", () => {
+    assert.throws(() => rewriteNodeImports("import {"));
+  });
+});
+
+describe("rewriteNodeImportsInDir", () => {
+  it("rewrites every script below the directory and skips other files", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "node-imports-"));
+    const files = {
+      "index.js": 'import fs from "fs";\n',
+      "chunks/worker.cjs": 'require("path");\n',
+      "clean.mjs": 'import fs from "node:fs";\n',
+      "data.json": '{"from": "fs"}\n',
+    };
+    try {
+      for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), content);
+      }
+
+      assert.deepEqual(rewriteNodeImportsInDir(dir), [
+        { file: "chunks/worker.cjs", rewrites: 1 },
+        { file: "index.js", rewrites: 1 },
+      ]);
+      assert.equal(
+        fs.readFileSync(path.join(dir, "chunks/worker.cjs"), "utf8"),
+        'require("node:path");\n',
+      );
+      assert.equal(
+        fs.readFileSync(path.join(dir, "data.json"), "utf8"),
+        files["data.json"],
+      );
+      assert.deepEqual(rewriteNodeImportsInDir(path.join(dir, "missing")), []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("names the file that failed to parse", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "node-imports-"));
+    try {
+      fs.writeFileSync(path.join(dir, "broken.js"), "export {");
+      assert.throws(
+        () => rewriteNodeImportsInDir(dir),
+        /Could not parse broken\.js to rewrite Node\.js imports/,
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  expandDirectoryPattern,
+  formatPluginTable,
+  resolvePluginPackages,
+} = require("../plugin-packages.js");
+
+function createMonorepo(workspaces) {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "plugin-packages-"));
+  const files = {
+    "package.json": JSON.stringify({ name: "root", workspaces }),
+    "packages/greeter/package.json": '{"name":"@acme/greeter"}',
+    "packages/greeter/src/index.ts": "",
+    "packages/labeler/package.json": '{"name":"@acme/labeler"}',
+    "packages/labeler/src/index.ts": "",
+    "packages/shared/package.json": '{"name":"@acme/shared"}',
+    "packages/shared/src/utils.ts": "",
+    "packages/node_modules/ignored/src/index.ts": "",
+    "tools/greeter/src/index.ts": "",
+  };
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(workspace, file)), { recursive: true });
+    fs.writeFileSync(path.join(workspace, file), content);
+  }
+  return workspace;
+}
+
+function resolve(workspace, plugins) {
+  return resolvePluginPackages({
+    plugins,
+    workspace,
+    artifactPrefix: "dist",
+    manifestPath: path.join(workspace, "manifest.json"),
+    pluginEntry: path.join(workspace, "src/index.ts"),
+    schemaPath: path.join(workspace, "src/types/plugin-input.ts"),
+  });
+}
+
+describe("expandDirectoryPattern", () => {
+  it("matches single-segment wildcards and skips node_modules", () => {
+    const workspace = createMonorepo([]);
+    try {
+      assert.deepEqual(
+        expandDirectoryPattern(workspace, "./packages/*/").map((dir) =>
+          path.relative(workspace, dir),
+        ),
+        ["packages/greeter", "packages/labeler", "packages/shared"],
+      );
+      assert.deepEqual(
+        expandDirectoryPattern(workspace, "packages/missing"),
+        [],
+      );
+      assert.throws(
+        () => expandDirectoryPattern(workspace, "packages/**"),
+        /single-segment wildcards/,
+      );
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("resolvePluginPackages", () => {
+  it("treats the workspace as the only plugin when plugins is empty", () => {
+    const plugins = resolvePluginPackages({
+      workspace: "/repo",
+      artifactPrefix: "dist/",
+      manifestPath: "/repo/manifest.json",
+      pluginEntry: "/repo/src/main.ts",
+      schemaPath: "/repo/src/schema.ts",
+    });
+
+    assert.deepEqual(plugins, [
+      {
+        name: "",
+        dir: path.resolve("/repo"),
+        artifactPrefix: "dist/",
+        manifestPath: "/repo/manifest.json",
+        pluginEntry: "/repo/src/main.ts",
+        schemaPath: "/repo/src/schema.ts",
+      },
+    ]);
+  });
+
+  it("re-roots paths and prefixes for listed plugin directories", () => {
+    const workspace = createMonorepo([]);
+    try {
+      const [greeter] = resolve(workspace, "packages/greeter");
+      const dir = path.join(workspace, "packages/greeter");
+
+      assert.deepEqual(greeter, {
+        name: "greeter",
+        dir,
+        artifactPrefix: "dist/greeter/",
+        manifestPath: path.join(dir, "manifest.json"),
+        pluginEntry: path.join(dir, "src/index.ts"),
+        schemaPath: path.join(dir, "src/types/plugin-input.ts"),
+      });
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+
+  it("auto-discovers workspaces that contain the plugin entry", () => {
+    const workspace = createMonorepo(["packages/*", "!packages/labeler"]);
+    try {
+      assert.deepEqual(
+        resolve(workspace, "auto").map((plugin) => plugin.name),
+        ["greeter"],
+      );
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+
+  it("reads yarn-style workspaces objects", () => {
+    const workspace = createMonorepo({ packages: ["packages/*"] });
+    try {
+      assert.deepEqual(
+        resolve(workspace, "AUTO").map((plugin) => plugin.name),
+        ["greeter", "labeler"],
+      );
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+
+  it("rejects unknown paths, duplicate names and empty results", () => {
+    const workspace = createMonorepo(["libs/*"]);
+    try {
+      assert.throws(
+        () => resolve(workspace, "packages/missing"),
+        /did not match any directory/,
+      );
+      assert.throws(
+        () => resolve(workspace, "packages/greeter\ntools/greeter"),
+        /Plugin name 'greeter' is used by both packages\/greeter and tools\/greeter/,
+      );
+      assert.throws(
+        () => resolve(workspace, "auto"),
+        /No workspace package contains the plugin entry src\/index.ts/,
+      );
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("formatPluginTable", () => {
+  it("writes one tab-separated line per plugin with the name last", () => {
+    assert.equal(
+      formatPluginTable([
+        {
+          name: "",
+          dir: "/repo",
+          artifactPrefix: "dist/",
+          manifestPath: "/repo/manifest.json",
+          pluginEntry: "/repo/src/index.ts",
+          schemaPath: "/repo/src/types/plugin-input.ts",
+        },
+      ]),
+      "/repo\tdist/\t/repo/manifest.json\t/repo/src/index.ts\t/repo/src/types/plugin-input.ts\t\n",
+    );
+  });
+});
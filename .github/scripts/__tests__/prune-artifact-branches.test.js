@@ -0,0 +1,159 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseMaxAgeDays,
+  selectPrunableBranches,
+  selectRemovedPluginBranches,
+} = require("../prune-artifact-branches.js");
+
+describe("selectPrunableBranches", () => {
+  const now = Date.parse("2026-06-30T00:00:00Z");
+
+  it("selects artifact branches whose source branch is gone", () => {
+    const prunable = selectPrunableBranches({
+      artifactBranches: [
+        { name: "dist/main" },
+        { name: "dist/feat/old" },
+        { name: "dist/feat/live" },
+      ],
+      sourceBranches: new Set(["main", "feat/live"]),
+      artifactPrefix: "dist",
+    });
+
+    assert.deepEqual(prunable, [
+      {
+        artifactRef: "dist/feat/old",
+        sourceRef: "feat/old",
+        reasons: ["source branch 'feat/old' no longer exists"],
+      },
+    ]);
+  });
+
+  it("never selects protected artifact branches", () => {
+    const prunable = selectPrunableBranches({
+      artifactBranches: [{ name: "dist/release/1.0" }, { name: "dist/gone" }],
+      sourceBranches: new Set(),
+      artifactPrefix: "dist/",
+      protectedPatterns: ["dist/release/*"],
+    });
+
+    assert.deepEqual(
+      prunable.map((branch) => branch.artifactRef),
+      ["dist/gone"],
+    );
+  });
+
+  it("prunes versioned artifacts only when their tag is deleted", () => {
+    const prunable = selectPrunableBranches({
+      artifactBranches: [
+        { name: "dist/tags/v1.0.0", committedAt: "2025-01-01T00:00:00Z" },
+        { name: "dist/tags/v0.9.0", committedAt: "2025-01-01T00:00:00Z" },
+      ],
+      sourceBranches: new Set(["main"]),
+      sourceTags: new Set(["v1.0.0"]),
+      artifactPrefix: "dist/",
+      maxAgeDays: 30,
+      now,
+    });
+
+    assert.deepEqual(prunable, [
+      {
+        artifactRef: "dist/tags/v0.9.0",
+        sourceRef: "v0.9.0",
+        reasons: ["source tag 'v0.9.0' no longer exists"],
+      },
+    ]);
+  });
+
+  it("selects branches older than the age cutoff", () => {
+    const prunable = selectPrunableBranches({
+      artifactBranches: [
+        { name: "dist/main", committedAt: "2026-06-25T00:00:00Z" },
+        { name: "dist/stale", committedAt: "2026-01-01T00:00:00Z" },
+      ],
+      sourceBranches: new Set(["main", "stale"]),
+      artifactPrefix: "dist/",
+      maxAgeDays: 30,
+      now,
+    });
+
+    assert.equal(prunable.length, 1);
+    assert.equal(prunable[0].artifactRef, "dist/stale");
+    assert.match(prunable[0].reasons[0], /last published 180 day\(s\) ago/);
+  });
+
+  it("maps artifact branches back through custom naming templates", () => {
+    const prunable = selectPrunableBranches({
+      artifactBranches: [
+        { name: "dist/branches/main" },
+        { name: "dist/branches/gone" },
+        { name: "dist/releases/v1.0.0" },
+        { name: "dist/unrelated" },
+      ],
+      sourceBranches: new Set(["main"]),
+      artifactPrefix: "dist/",
+      templates: {
+        branch: "{prefix}branches/{ref}",
+        tag: "{prefix}releases/{ref}",
+      },
+    });
+
+    assert.deepEqual(
+      prunable.map(({ artifactRef, sourceRef }) => ({
+        artifactRef,
+        sourceRef,
+      })),
+      [
+        { artifactRef: "dist/branches/gone", sourceRef: "gone" },
+        { artifactRef: "dist/releases/v1.0.0", sourceRef: "v1.0.0" },
+      ],
+    );
+  });
+});
+
+describe("selectRemovedPluginBranches", () => {
+  it("selects the artifact branches of plugins that no longer exist", () => {
+    const prunable = selectRemovedPluginBranches({
+      artifactBranches: [
+        { name: "dist/kept/main" },
+        { name: "dist/removed/main" },
+        { name: "dist/removed/tags/v1.0.0" },
+        { name: "dist/legacy/main" },
+        { name: "dist/feat/live" },
+        { name: "dist/main" },
+      ],
+      sourceBranches: new Set(["main", "feat/live"]),
+      sourceTags: new Set(["v1.0.0"]),
+      artifactPrefix: "dist",
+      pluginNames: ["kept"],
+      protectedPatterns: ["dist/legacy/*"],
+    });
+
+    assert.deepEqual(prunable, [
+      {
+        artifactRef: "dist/removed/main",
+        sourceRef: "main",
+        reasons: ["plugin 'removed' no longer exists"],
+      },
+      {
+        artifactRef: "dist/removed/tags/v1.0.0",
+        sourceRef: "v1.0.0",
+        reasons: ["plugin 'removed' no longer exists"],
+      },
+    ]);
+  });
+});
+
+describe("parseMaxAgeDays", () => {
+  it("treats empty values as no cutoff", () => {
+    assert.equal(parseMaxAgeDays(""), null);
+    assert.equal(parseMaxAgeDays(undefined), null);
+  });
+
+  it("parses positive numbers and rejects anything else", () => {
+    assert.equal(parseMaxAgeDays("14"), 14);
+    assert.throws(() => parseMaxAgeDays("-1"), /Invalid prune age cutoff/);
+    assert.throws(() => parseMaxAgeDays("soon"), /Invalid prune age cutoff/);
+  });
+});
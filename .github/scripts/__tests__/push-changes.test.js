@@ -1,14 +1,28 @@
 const { describe, it } = require("node:test");
 const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
 const fs = require("node:fs");
 const os = require("node:os");
 const path = require("node:path");
 
+const { computeBlobSha } = require("../artifact-plan.js");
 const {
+  CHUNK_MANIFEST_SUFFIX,
+  assertTargetSupportsPayload,
+  buildChunkEntries,
+  buildPublishOutputs,
   collectTreeEntries,
+  createTreeFromEntries,
   deriveArtifactRef,
+  isRefConflictError,
+  matchesBranchPattern,
   normalizeArtifactPrefix,
   normalizeBranchName,
+  normalizeTagName,
+  parsePatternList,
+  parseSourceRefType,
+  publishArtifactCommit,
+  resolveSourceSha,
 } = require("../push-changes.js");
 
 describe("artifact branch helpers", () => {
@@ -42,6 +56,84 @@ describe("artifact branch helpers", () => {
   });
 });
 
+describe("tag artifact refs", () => {
+  it("maps tags to versioned artifact refs", () => {
+    assert.equal(
+      deriveArtifactRef("refs/tags/v1.4.0", "dist", "tag"),
+      "dist/tags/v1.4.0",
+    );
+    assert.equal(
+      deriveArtifactRef("v1.4.0", "refs/heads/dist/", "tag"),
+      "dist/tags/v1.4.0",
+    );
+  });
+
+  it("normalizes tag names and ref types", () => {
+    assert.equal(normalizeTagName("refs/tags/v2.0.0"), "v2.0.0");
+    assert.throws(() => normalizeTagName(" "), /Tag name cannot be empty/);
+    assert.equal(parseSourceRefType(undefined), "branch");
+    assert.equal(parseSourceRefType("Tag"), "tag");
+    assert.throws(() => parseSourceRefType("commit"), /source ref type/);
+  });
+
+  it("peels annotated tags to their commit", async () => {
+    const octokit = {
+      rest: {
+        git: {
+          getRef: async () => ({
+            data: { object: { type: "tag", sha: "tag-object" } },
+          }),
+          getTag: async ({ tag_sha }) => {
+            assert.equal(tag_sha, "tag-object");
+            return { data: { object: { type: "commit", sha: "commit" } } };
+          },
+        },
+      },
+    };
+
+    assert.equal(
+      await resolveSourceSha(octokit, "owner", "repo", "v1.4.0", null, "tag"),
+      "commit",
+    );
+  });
+});
+
+describe("matchesBranchPattern", () => {
+  it("matches exact names and single-segment wildcards", () => {
+    assert.equal(matchesBranchPattern("dist/main", "dist/main"), true);
+    assert.equal(matchesBranchPattern("dist/main2", "dist/main"), false);
+    assert.equal(
+      matchesBranchPattern("dist/release/1.0", "dist/release/*"),
+      true,
+    );
+    assert.equal(
+      matchesBranchPattern("dist/release/1.0/hotfix", "dist/release/*"),
+      false,
+    );
+  });
+
+  it("matches nested branches with **", () => {
+    assert.equal(
+      matchesBranchPattern("dist/release/1.0/hotfix", "dist/release/**"),
+      true,
+    );
+  });
+
+  it("expands brace alternatives", () => {
+    const pattern = "{renovate,dependabot}/**";
+    assert.equal(matchesBranchPattern("renovate/npm/acorn", pattern), true);
+    assert.equal(matchesBranchPattern("dependabot/bun/glob", pattern), true);
+    assert.equal(matchesBranchPattern("feat/renovate", pattern), false);
+    assert.deepEqual(
+      parsePatternList("dist/{main,development},dist/release/*").filter(
+        (protectedPattern) =>
+          matchesBranchPattern("dist/development", protectedPattern),
+      ),
+      ["dist/{main,development}"],
+    );
+  });
+});
+
 describe("collectTreeEntries", () => {
   function createWorkspace({
     withActionYaml = false,
@@ -179,3 +271,673 @@ describe("collectTreeEntries", () => {
     }
   });
 });
+
+describe("collectTreeEntries patterns", () => {
+  function createWorkspace() {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "push-changes-"));
+    fs.mkdirSync(path.join(workspace, "dist", "plugin"), { recursive: true });
+    fs.mkdirSync(path.join(workspace, "templates"), { recursive: true });
+    fs.writeFileSync(path.join(workspace, "manifest.json"), "{}\n");
+    fs.writeFileSync(
+      path.join(workspace, "dist", "plugin", "index.mjs"),
+      "export {};\n",
+    );
+    fs.writeFileSync(
+      path.join(workspace, "dist", "plugin", "index.js.map"),
+      "{}\n",
+    );
+    fs.writeFileSync(
+      path.join(workspace, "dist", "plugin", "module.wasm"),
+      Buffer.from([0x00, 0x61, 0x73, 0x6d, 0xff]),
+    );
+    fs.writeFileSync(
+      path.join(workspace, "templates", "prompt.txt"),
+      "Hello {{name}}\n",
+    );
+    fs.writeFileSync(path.join(workspace, "dist", "cli.js"), "#!/bin/sh\n", {
+      mode: 0o755,
+    });
+    fs.mkdirSync(path.join(workspace, "dist", ".cache"));
+    fs.writeFileSync(
+      path.join(workspace, "dist", ".cache", "build.json"),
+      "{}",
+    );
+    return workspace;
+  }
+
+  it("parses newline and comma separated pattern lists", () => {
+    assert.deepEqual(parsePatternList("templates/**, dist/**/*.wasm\n\n*.md"), [
+      "templates/**",
+      "dist/**/*.wasm",
+      "*.md",
+    ]);
+    assert.deepEqual(parsePatternList(undefined), []);
+  });
+
+  it("keeps commas inside brace globs", () => {
+    assert.deepEqual(parsePatternList("dist/**/*.{wasm,node},templates/**"), [
+      "dist/**/*.{wasm,node}",
+      "templates/**",
+    ]);
+
+    const workspace = createWorkspace();
+    try {
+      const entryPaths = collectTreeEntries({
+        githubWorkspace: workspace,
+        manifestPathInput: "manifest.json",
+        include: parsePatternList("{dist,templates}/**/*.{wasm,txt}"),
+      }).map((entry) => entry.path);
+
+      assert.ok(entryPaths.includes("dist/plugin/module.wasm"));
+      assert.ok(entryPaths.includes("templates/prompt.txt"));
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+
+  it("adds included files and base64-encodes binary content", () => {
+    const workspace = createWorkspace();
+    try {
+      const entries = collectTreeEntries({
+        githubWorkspace: workspace,
+        manifestPathInput: "manifest.json",
+        include: ["templates/**", "dist/**/*.wasm"],
+      });
+      const byPath = new Map(entries.map((entry) => [entry.path, entry]));
+
+      assert.ok(byPath.has("dist/plugin/index.mjs"));
+      assert.equal(byPath.get("templates/prompt.txt").encoding, undefined);
+      assert.equal(
+        byPath.get("templates/prompt.txt").content,
+        "Hello {{name}}\n",
+      );
+      const wasm = byPath.get("dist/plugin/module.wasm");
+      assert.equal(wasm.encoding, "base64");
+      assert.deepEqual(
+        Buffer.from(wasm.content, "base64"),
+        Buffer.from([0x00, 0x61, 0x73, 0x6d, 0xff]),
+      );
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+
+  it("drops excluded files but always keeps manifest.json", () => {
+    const workspace = createWorkspace();
+    try {
+      const entries = collectTreeEntries({
+        githubWorkspace: workspace,
+        manifestPathInput: "manifest.json",
+        exclude: ["dist/**/*.map", "manifest.json"],
+      });
+      const entryPaths = entries.map((entry) => entry.path);
+
+      assert.ok(entryPaths.includes("manifest.json"));
+      assert.ok(!entryPaths.includes("dist/plugin/index.js.map"));
+      assert.ok(!entryPaths.includes("dist/plugin/module.wasm"));
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+
+  it("publishes dotfiles only when a pattern names them", () => {
+    const workspace = createWorkspace();
+    try {
+      const collect = (include) =>
+        collectTreeEntries({
+          githubWorkspace: workspace,
+          manifestPathInput: "manifest.json",
+          include,
+        }).map((entry) => entry.path);
+
+      assert.ok(!collect([]).includes("dist/.cache/build.json"));
+      assert.ok(!collect(["dist/**"]).includes("dist/.cache/build.json"));
+      assert.ok(collect(["dist/.cache/**"]).includes("dist/.cache/build.json"));
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+
+  it("preserves executable file modes", () => {
+    const workspace = createWorkspace();
+    try {
+      const entries = collectTreeEntries({
+        githubWorkspace: workspace,
+        manifestPathInput: "manifest.json",
+      });
+      const cli = entries.find((entry) => entry.path === "dist/cli.js");
+      const mjs = entries.find(
+        (entry) => entry.path === "dist/plugin/index.mjs",
+      );
+      assert.equal(cli.mode, "100755");
+      assert.equal(mjs.mode, "100644");
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("createTreeFromEntries", () => {
+  function createOctokit() {
+    const calls = { createBlob: [], createTree: [] };
+    const octokit = {
+      rest: {
+        git: {
+          createBlob: async (params) => {
+            calls.createBlob.push(params);
+            return { data: { sha: computeBlobSha(params) } };
+          },
+          createTree: async (params) => {
+            calls.createTree.push(params);
+            return { data: { sha: "new-tree-sha" } };
+          },
+        },
+      },
+    };
+    return { octokit, calls };
+  }
+
+  function blobEntry(entryPath, content) {
+    return { path: entryPath, mode: "100644", type: "blob", content };
+  }
+
+  it("uploads every entry when there is no artifact tree", async () => {
+    const { octokit, calls } = createOctokit();
+    const treeSha = await createTreeFromEntries(octokit, "owner", "repo", [
+      blobEntry("manifest.json", "{}\n"),
+      blobEntry("dist/index.js", "export {};\n"),
+    ]);
+
+    assert.equal(treeSha, "new-tree-sha");
+    assert.equal(calls.createBlob.length, 2);
+    assert.equal(calls.createTree[0].base_tree, undefined);
+    assert.equal(calls.createTree[0].tree.length, 2);
+  });
+
+  it("only uploads changed blobs on top of the artifact tree", async () => {
+    const unchanged = blobEntry("manifest.json", "{}\n");
+    const moved = blobEntry("dist/renamed.js", "export {};\n");
+    const changed = blobEntry("dist/index.js", "export const a = 1;\n");
+    const { octokit, calls } = createOctokit();
+
+    await createTreeFromEntries(
+      octokit,
+      "owner",
+      "repo",
+      [unchanged, moved, changed],
+      {
+        treeSha: "base-tree-sha",
+        files: new Map([
+          [
+            "manifest.json",
+            { sha: computeBlobSha(unchanged), size: 3, mode: "100644" },
+          ],
+          [
+            "dist/old.js",
+            { sha: computeBlobSha(moved), size: 11, mode: "100644" },
+          ],
+          ["dist/index.js", { sha: "stale", size: 11, mode: "100644" }],
+        ]),
+      },
+    );
+
+    assert.deepEqual(
+      calls.createBlob.map((params) => params.content),
+      [changed.content],
+    );
+    assert.equal(calls.createTree[0].base_tree, "base-tree-sha");
+    assert.deepEqual(calls.createTree[0].tree, [
+      {
+        path: "dist/renamed.js",
+        mode: "100644",
+        type: "blob",
+        sha: computeBlobSha(moved),
+      },
+      {
+        path: "dist/index.js",
+        mode: "100644",
+        type: "blob",
+        sha: computeBlobSha(changed),
+      },
+      { path: "dist/old.js", mode: "100644", type: "blob", sha: null },
+    ]);
+  });
+
+  it("returns the artifact tree unchanged without any write calls", async () => {
+    const unchanged = blobEntry("manifest.json", "{}\n");
+    const { octokit, calls } = createOctokit();
+
+    const treeSha = await createTreeFromEntries(
+      octokit,
+      "owner",
+      "repo",
+      [unchanged],
+      {
+        treeSha: "base-tree-sha",
+        files: new Map([
+          [
+            "manifest.json",
+            { sha: computeBlobSha(unchanged), size: 3, mode: "100644" },
+          ],
+        ]),
+      },
+    );
+
+    assert.equal(treeSha, "base-tree-sha");
+    assert.equal(calls.createBlob.length, 0);
+    assert.equal(calls.createTree.length, 0);
+  });
+});
+
+describe("buildChunkEntries", () => {
+  it("emits base64 parts and a checksummed chunk manifest", () => {
+    const content = Buffer.from("abcdefghij");
+    const entries = buildChunkEntries("dist/plugin/index.js", content, 4);
+
+    assert.deepEqual(
+      entries.map((entry) => entry.path),
+      [
+        "dist/plugin/index.js.part1",
+        "dist/plugin/index.js.part2",
+        "dist/plugin/index.js.part3",
+        `dist/plugin/index.js${CHUNK_MANIFEST_SUFFIX}`,
+      ],
+    );
+    assert.equal(
+      Buffer.from(entries[2].content, "base64").toString("utf8"),
+      "ij",
+    );
+
+    const chunkManifest = JSON.parse(entries[3].content);
+    const sha256 = (value) =>
+      crypto.createHash("sha256").update(value).digest("hex");
+    assert.equal(chunkManifest.file, "index.js");
+    assert.equal(chunkManifest.mode, "100644");
+    assert.equal(chunkManifest.size, 10);
+    assert.equal(chunkManifest.sha256, sha256(content));
+    assert.deepEqual(chunkManifest.parts, [
+      { file: "index.js.part1", size: 4, sha256: sha256("abcd") },
+      { file: "index.js.part2", size: 4, sha256: sha256("efgh") },
+      { file: "index.js.part3", size: 2, sha256: sha256("ij") },
+    ]);
+  });
+
+  it("records an executable mode in the chunk manifest", () => {
+    const entries = buildChunkEntries(
+      "dist/cli.js",
+      Buffer.from("#!/bin/sh\n"),
+      4,
+      "100755",
+    );
+    const chunkManifest = JSON.parse(entries[entries.length - 1].content);
+
+    assert.equal(chunkManifest.mode, "100755");
+    assert.ok(entries.slice(0, -1).every((entry) => entry.mode === "100644"));
+  });
+});
+
+describe("publishArtifactCommit", () => {
+  function createOctokit({ headSha, headMessage, compareStatus }) {
+    const calls = { createCommit: [], updateRef: [], createRef: [] };
+    const commits = {
+      source: { tree: { sha: "source-tree" }, message: "feat: change" },
+    };
+    if (headSha) {
+      commits[headSha] = {
+        tree: { sha: "artifact-tree" },
+        message: headMessage,
+      };
+    }
+    const octokit = {
+      rest: {
+        repos: {
+          compareCommitsWithBasehead: async () => {
+            if (!compareStatus) {
+              const error = new Error("Not Found");
+              error.status = 404;
+              throw error;
+            }
+            return { data: { status: compareStatus } };
+          },
+        },
+        git: {
+          getRef: async () => {
+            if (!headSha) {
+              const error = new Error("Not Found");
+              error.status = 404;
+              throw error;
+            }
+            return { data: { object: { sha: headSha } } };
+          },
+          getCommit: async ({ commit_sha }) => ({ data: commits[commit_sha] }),
+          getTree: async () => ({ data: { tree: [] } }),
+          createBlob: async (params) => ({
+            data: { sha: computeBlobSha(params) },
+          }),
+          createTree: async () => ({ data: { sha: "new-tree" } }),
+          createCommit: async (params) => {
+            calls.createCommit.push(params);
+            return { data: { sha: "new-commit" } };
+          },
+          updateRef: async (params) => {
+            calls.updateRef.push(params);
+          },
+          createRef: async (params) => {
+            calls.createRef.push(params);
+          },
+        },
+      },
+    };
+    return { octokit, calls };
+  }
+
+  const options = {
+    owner: "owner",
+    repo: "repo",
+    artifactRef: "dist/main",
+    sourceSha: "source",
+    treeEntries: [
+      { path: "manifest.json", mode: "100644", type: "blob", content: "{}\n" },
+    ],
+    message: "chore: publish",
+    historyPolicy: { mode: "append", limit: 10 },
+  };
+
+  it("creates the artifact branch on first publish", async () => {
+    const { octokit, calls } = createOctokit({ headSha: null });
+    const uploadedBlobShas = new Set();
+
+    const result = await publishArtifactCommit({
+      ...options,
+      octokit,
+      uploadedBlobShas,
+    });
+
+    assert.deepEqual(result, {
+      changed: true,
+      commitSha: "new-commit",
+      treeSha: "new-tree",
+      skipReason: "",
+      previousTree: new Map(),
+    });
+    assert.deepEqual(calls.createCommit[0].parents, ["source"]);
+    assert.equal(calls.createRef[0].ref, "refs/heads/dist/main");
+    assert.equal(uploadedBlobShas.size, 1);
+  });
+
+  it("accepts an existing ref only when a retried createRef created it", async () => {
+    function raceCreateRef(existingSha) {
+      const { octokit } = createOctokit({ headSha: null });
+      const getRef = octokit.rest.git.getRef;
+      let created = false;
+      octokit.rest.git.getRef = async (params) =>
+        created ? { data: { object: { sha: existingSha } } } : getRef(params);
+      octokit.rest.git.createRef = async () => {
+        created = true;
+        const error = new Error("Reference already exists");
+        error.status = 422;
+        throw error;
+      };
+      return publishArtifactCommit({
+        ...options,
+        octokit,
+        uploadedBlobShas: new Set(),
+      });
+    }
+
+    assert.equal((await raceCreateRef("new-commit")).commitSha, "new-commit");
+    await assert.rejects(raceCreateRef("other-commit"), {
+      status: 422,
+      message: "Reference already exists",
+    });
+  });
+
+  it("passes the signed author, committer and signature to createCommit", async () => {
+    const { octokit, calls } = createOctokit({ headSha: null });
+    const identity = {
+      name: "Publisher",
+      email: "publisher@example.com",
+      date: "2026-01-02T03:04:05Z",
+    };
+    const signed = [];
+    const signer = {
+      format: "ssh",
+      sign: (commit) => {
+        signed.push(commit);
+        return {
+          author: identity,
+          committer: identity,
+          signature: "-----BEGIN SSH SIGNATURE-----\n",
+        };
+      },
+    };
+
+    await publishArtifactCommit({
+      ...options,
+      octokit,
+      uploadedBlobShas: new Set(),
+      signer,
+    });
+
+    assert.equal(signed[0].tree, "new-tree");
+    assert.deepEqual(signed[0].parents, ["source"]);
+    assert.equal(signed[0].message, "chore: publish");
+    assert.deepEqual(calls.createCommit[0], {
+      owner: "owner",
+      repo: "repo",
+      message: "chore: publish",
+      tree: "new-tree",
+      parents: ["source"],
+      author: identity,
+      committer: identity,
+      signature: "-----BEGIN SSH SIGNATURE-----\n",
+    });
+  });
+
+  it("skips publishing when the branch already has a newer source build", async () => {
+    const { octokit, calls } = createOctokit({
+      headSha: "artifact",
+      headMessage: "chore: publish\n\nSource-Sha: newer-source\n",
+      compareStatus: "ahead",
+    });
+
+    const result = await publishArtifactCommit({
+      ...options,
+      octokit,
+      uploadedBlobShas: new Set(),
+    });
+
+    assert.equal(result.changed, false);
+    assert.equal(result.commitSha, "artifact");
+    assert.match(result.skipReason, /newer source/);
+    assert.equal(calls.createCommit.length, 0);
+    assert.equal(calls.updateRef.length, 0);
+  });
+
+  it("publishes on top of a head built from an older source", async () => {
+    const { octokit, calls } = createOctokit({
+      headSha: "artifact",
+      headMessage: "chore: publish\n\nSource-Sha: older-source\n",
+      compareStatus: "behind",
+    });
+
+    await publishArtifactCommit({
+      ...options,
+      octokit,
+      uploadedBlobShas: new Set(),
+    });
+
+    assert.deepEqual(calls.createCommit[0].parents, ["artifact"]);
+    assert.deepEqual(calls.updateRef[0], {
+      owner: "owner",
+      repo: "repo",
+      ref: "heads/dist/main",
+      sha: "new-commit",
+      force: false,
+    });
+  });
+
+  it("publishes a new versioned artifact on top of the tagged commit", async () => {
+    const { octokit, calls } = createOctokit({ headSha: null });
+
+    await publishArtifactCommit({
+      ...options,
+      artifactRef: "dist/tags/v1.4.0",
+      historyPolicy: { mode: "squash", limit: 10 },
+      octokit,
+      uploadedBlobShas: new Set(),
+      immutable: true,
+    });
+
+    assert.deepEqual(calls.createCommit[0].parents, ["source"]);
+    assert.equal(calls.createRef[0].ref, "refs/heads/dist/tags/v1.4.0");
+  });
+
+  it("refuses to overwrite a versioned artifact from another source", async () => {
+    const { octokit, calls } = createOctokit({
+      headSha: "artifact",
+      headMessage: "chore: publish\n\nSource-Sha: other-source\n",
+    });
+
+    await assert.rejects(
+      publishArtifactCommit({
+        ...options,
+        artifactRef: "dist/tags/v1.4.0",
+        octokit,
+        uploadedBlobShas: new Set(),
+        immutable: true,
+      }),
+      /Refusing to overwrite versioned artifact dist\/tags\/v1\.4\.0/,
+    );
+    assert.equal(calls.updateRef.length, 0);
+  });
+
+  it("treats a re-run for the same tagged commit as a no-op", async () => {
+    const { octokit, calls } = createOctokit({
+      headSha: "artifact",
+      headMessage: "chore: publish\n\nSource-Sha: source\n",
+    });
+
+    const result = await publishArtifactCommit({
+      ...options,
+      artifactRef: "dist/tags/v1.4.0",
+      octokit,
+      uploadedBlobShas: new Set(),
+      immutable: true,
+    });
+
+    assert.equal(result.changed, false);
+    assert.equal(result.skipReason, "versioned artifact already published");
+    assert.equal(calls.createCommit.length, 0);
+  });
+});
+
+describe("isRefConflictError", () => {
+  function requestError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.response = { data: { message } };
+    return error;
+  }
+
+  it("detects rejected fast-forwards and existing refs", () => {
+    assert.equal(
+      isRefConflictError(requestError(422, "Update is not a fast forward")),
+      true,
+    );
+    assert.equal(
+      isRefConflictError(requestError(422, "Reference already exists")),
+      true,
+    );
+  });
+
+  it("ignores other failures", () => {
+    assert.equal(isRefConflictError(requestError(422, "Invalid sha")), false);
+    assert.equal(
+      isRefConflictError(requestError(500, "not a fast forward")),
+      false,
+    );
+    assert.equal(isRefConflictError(null), false);
+  });
+});
+
+describe("buildPublishOutputs", () => {
+  it("describes the published artifact", () => {
+    const outputs = buildPublishOutputs({
+      artifactRef: "dist/main",
+      sourceRef: "main",
+      sourceSha: "source",
+      treeEntries: [
+        {
+          path: "manifest.json",
+          content: JSON.stringify({ short_name: "owner/repo@main" }),
+        },
+        { path: "dist/index.js.part1", content: "a", chunkOf: "dist/index.js" },
+        { path: "dist/index.js.part2", content: "b", chunkOf: "dist/index.js" },
+      ],
+      result: {
+        changed: true,
+        commitSha: "commit",
+        treeSha: "tree",
+        skipReason: "",
+      },
+    });
+
+    assert.deepEqual(outputs, {
+      artifact_ref: "dist/main",
+      source_ref: "main",
+      source_sha: "source",
+      commit_sha: "commit",
+      tree_sha: "tree",
+      changed: true,
+      file_count: 3,
+      chunked_file_count: 1,
+      short_name: "owner/repo@main",
+      skip_reason: "",
+    });
+  });
+
+  it("leaves unknown values empty", () => {
+    const outputs = buildPublishOutputs({
+      artifactRef: "dist/main",
+      sourceRef: "main",
+      sourceSha: "source",
+      treeEntries: [{ path: "manifest.json", content: "not json" }],
+      result: {
+        changed: false,
+        commitSha: null,
+        treeSha: null,
+        skipReason: "no generated changes",
+      },
+    });
+
+    assert.equal(outputs.commit_sha, "");
+    assert.equal(outputs.tree_sha, "");
+    assert.equal(outputs.short_name, "");
+  });
+});
+
+describe("assertTargetSupportsPayload", () => {
+  const chunked = buildChunkEntries(
+    "dist/plugin/index.js",
+    Buffer.alloc(10, "a"),
+    4,
+  );
+
+  it("allows chunked files for node builds", () => {
+    assert.doesNotThrow(() => assertTargetSupportsPayload(chunked, "node"));
+  });
+
+  it("refuses chunked files for worker builds", () => {
+    assert.doesNotThrow(() =>
+      assertTargetSupportsPayload(
+        [{ path: "dist/index.js", content: "" }],
+        "worker",
+      ),
+    );
+    assert.throws(
+      () => assertTargetSupportsPayload(chunked, "worker"),
+      /Worker builds cannot be chunked, but dist\/plugin\/index\.js exceed/,
+    );
+  });
+});
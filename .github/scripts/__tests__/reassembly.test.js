@@ -0,0 +1,329 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { writeEntrypoints } = require("../build-plugin.js");
+const { buildChunkEntries } = require("../push-changes.js");
+
+// Writes a chunked plugin whose main module imports an unchunked sibling and
+// reads a file next to it, plus the entrypoints the action would inject.
+function createDist(format, { throwOnLoad = false } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "reassembly-"));
+  const pluginDir = path.join(root, "dist", "plugin");
+  fs.mkdirSync(path.join(pluginDir, "lib"), { recursive: true });
+  fs.writeFileSync(path.join(pluginDir, "asset.txt"), "asset");
+
+  let plugin;
+  if (format === "esm") {
+    fs.writeFileSync(
+      path.join(pluginDir, "lib", "greet.js"),
+      'export const greet = () => "hello";\n',
+    );
+    plugin = [
+      'import fs from "node:fs";',
+      'import { greet } from "./lib/greet.js";',
+      'const asset = fs.readFileSync(new URL("asset.txt", import.meta.url), "utf8");',
+      "console.log(`plugin: ${greet()} ${asset}`);",
+      'export const name = "fixture";',
+      ...(throwOnLoad ? ['throw new Error("plugin crashed");'] : []),
+      "",
+    ].join("\n");
+  } else {
+    fs.writeFileSync(
+      path.join(pluginDir, "lib", "greet.js"),
+      'exports.greet = () => "hello";\n',
+    );
+    plugin = [
+      'const fs = require("fs");',
+      'const { greet } = require("./lib/greet");',
+      'const asset = fs.readFileSync(require("path").join(__dirname, "asset.txt"), "utf8");',
+      "console.log(`plugin: ${greet()} ${asset}`);",
+      'exports.name = "fixture";',
+      ...(throwOnLoad ? ['throw new Error("plugin crashed");'] : []),
+      "",
+    ].join("\n");
+  }
+  writeEntrypoints({ projectDir: root, treatAsEsm: format === "esm" });
+
+  for (const entry of buildChunkEntries("index.js", Buffer.from(plugin), 40)) {
+    fs.writeFileSync(
+      path.join(pluginDir, entry.path),
+      entry.encoding === "base64"
+        ? Buffer.from(entry.content, "base64")
+        : entry.content,
+    );
+  }
+  return root;
+}
+
+// Imports an entrypoint the way an orchestrator would and prints its state.
+function probe(root, entrypoint, env = {}) {
+  const script = [
+    `const loaded = await import(${JSON.stringify(path.join(root, "dist", entrypoint))});`,
+    "const entry = loaded.default ?? loaded;",
+    "try {",
+    "  const plugin = await entry.ready;",
+    "  console.log(`ready: ${plugin.name} ${entry.plugin === plugin}`);",
+    "} catch (error) {",
+    "  console.log(`rejected: ${error.message}`);",
+    "}",
+    "if (entry.health) console.log(`health: ${JSON.stringify(entry.health())}`);",
+  ].join("\n");
+  return spawnSync(process.execPath, ["--input-type=module", "-e", script], {
+    encoding: "utf8",
+    env: { ...process.env, ...env },
+    timeout: 30000,
+  });
+}
+
+function run(root, env = {}, entrypoint = "index.js") {
+  return spawnSync(process.execPath, [path.join(root, "dist", entrypoint)], {
+    encoding: "utf8",
+    env: { ...process.env, ...env },
+    timeout: 30000,
+  });
+}
+
+for (const format of ["cjs", "esm"]) {
+  describe(`reassembly-${format}.js`, () => {
+    it("reassembles into dist/plugin by default", () => {
+      const root = createDist(format);
+      try {
+        const result = run(root);
+
+        assert.match(result.stdout, /plugin: hello asset/);
+        assert.ok(fs.existsSync(path.join(root, "dist/plugin/index.js")));
+        assert.ok(fs.existsSync(path.join(root, "dist/plugin/index.js.part1")));
+      } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+
+    it("restores the executable mode recorded in the chunk manifest", () => {
+      const root = createDist(format);
+      const tempRoot = path.join(root, "writable");
+      const pluginDir = path.join(root, "dist", "plugin");
+      const tool = Buffer.from("#!/bin/sh\necho chunked tool\n");
+      for (const entry of buildChunkEntries("tool.sh", tool, 16, "100755")) {
+        fs.writeFileSync(
+          path.join(pluginDir, entry.path),
+          entry.encoding === "base64"
+            ? Buffer.from(entry.content, "base64")
+            : entry.content,
+        );
+      }
+      try {
+        run(root);
+        run(root, {
+          PLUGIN_REASSEMBLY_MODE: "tmp",
+          PLUGIN_REASSEMBLY_DIR: tempRoot,
+        });
+
+        const [copy] = fs.readdirSync(tempRoot);
+        for (const file of [
+          path.join(pluginDir, "tool.sh"),
+          path.join(tempRoot, copy, "tool.sh"),
+        ]) {
+          assert.deepEqual(fs.readFileSync(file), tool);
+          assert.equal(fs.statSync(file).mode & 0o777, 0o755);
+        }
+        assert.equal(
+          fs.statSync(path.join(pluginDir, "index.js")).mode & 0o111,
+          0,
+        );
+      } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+
+    it("rejects corrupted, missing or extra parts against the chunk manifest", () => {
+      const cases = [
+        [
+          "corrupted",
+          (pluginDir) => {
+            const partPath = path.join(pluginDir, "index.js.part1");
+            const data = fs.readFileSync(partPath);
+            data[0] ^= 0xff;
+            fs.writeFileSync(partPath, data);
+          },
+          /part 1\/\d+ \(index\.js\.part1\) has sha256 [0-9a-f]{64}, expected [0-9a-f]{64}/,
+        ],
+        [
+          "missing",
+          (pluginDir) => fs.rmSync(path.join(pluginDir, "index.js.part2")),
+          /part 2\/\d+ \(index\.js\.part2\) is missing/,
+        ],
+        [
+          "extra",
+          (pluginDir) =>
+            fs.writeFileSync(path.join(pluginDir, "index.js.part99"), "x"),
+          /unexpected part index\.js\.part99 is not in the manifest/,
+        ],
+      ];
+      for (const [label, tamper, problem] of cases) {
+        const root = createDist(format);
+        try {
+          const pluginDir = path.join(root, "dist", "plugin");
+          tamper(pluginDir);
+
+          const result = probe(root, "index.js");
+
+          assert.match(
+            result.stdout,
+            /rejected: Chunk verification failed for index\.js:/,
+            label,
+          );
+          assert.match(result.stdout, problem, label);
+          assert.doesNotMatch(result.stdout, /plugin: hello/, label);
+          assert.equal(
+            fs.existsSync(path.join(pluginDir, "index.js")),
+            false,
+            label,
+          );
+        } finally {
+          fs.rmSync(root, { recursive: true, force: true });
+        }
+      }
+    });
+
+    it("reassembles into a reusable temp directory in tmp mode", () => {
+      const root = createDist(format);
+      const tempRoot = path.join(root, "writable");
+      const env = {
+        PLUGIN_REASSEMBLY_MODE: "tmp",
+        PLUGIN_REASSEMBLY_DIR: tempRoot,
+      };
+      try {
+        const first = run(root, env);
+        const second = run(root, env);
+
+        assert.match(first.stdout, /plugin: hello asset/);
+        assert.match(second.stdout, /Already reassembled in/);
+        assert.match(second.stdout, /plugin: hello asset/);
+        assert.equal(
+          fs.existsSync(path.join(root, "dist/plugin/index.js")),
+          false,
+        );
+        const [copy] = fs.readdirSync(tempRoot);
+        assert.match(copy, /^plugin-[0-9a-f]{16}$/);
+        assert.deepEqual(fs.readdirSync(path.join(tempRoot, copy)).sort(), [
+          "asset.txt",
+          "index.js",
+          "lib",
+          ...(format === "esm" ? ["package.json"] : []),
+        ]);
+      } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+
+    it("loads the plugin from memory without writing files in memory mode", () => {
+      const root = createDist(format);
+      try {
+        const before = fs.readdirSync(path.join(root, "dist/plugin")).sort();
+        const result = run(root, { PLUGIN_REASSEMBLY_MODE: "memory" });
+
+        assert.match(result.stdout, /plugin: hello asset/);
+        assert.deepEqual(
+          fs.readdirSync(path.join(root, "dist/plugin")).sort(),
+          before,
+        );
+      } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+
+    it("loads the plugin from memory through the dist/index.cjs bridge", () => {
+      const root = createDist(format);
+      try {
+        const result = run(
+          root,
+          { PLUGIN_REASSEMBLY_MODE: "memory" },
+          "index.cjs",
+        );
+
+        assert.match(result.stdout, /plugin: hello asset/);
+        assert.equal(
+          fs.existsSync(path.join(root, "dist/plugin/index.js")),
+          false,
+        );
+      } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+
+    it("exports the loaded plugin, a readiness promise and health", () => {
+      const root = createDist(format);
+      try {
+        const result = probe(root, "index.js");
+
+        assert.match(result.stdout, /ready: fixture true/);
+        assert.match(
+          result.stdout,
+          /health: \{"status":"ready","ready":true\}/,
+        );
+        assert.match(probe(root, "index.cjs").stdout, /ready: fixture/);
+      } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+
+    it("reports a failed load through ready and health", () => {
+      const root = createDist(format, { throwOnLoad: true });
+      try {
+        const result = probe(root, "index.js");
+
+        assert.equal(result.status, 0);
+        assert.match(result.stderr, /Failed to load plugin:/);
+        assert.match(result.stdout, /rejected: plugin crashed/);
+        assert.match(
+          result.stdout,
+          /health: \{"status":"failed","ready":false,"error":"plugin crashed"\}/,
+        );
+      } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+
+    it("exits non-zero on load or reassembly failures in strict mode", () => {
+      const crashing = createDist(format, { throwOnLoad: true });
+      const corrupt = createDist(format);
+      const strict = { PLUGIN_REASSEMBLY_STRICT: "true" };
+      try {
+        fs.rmSync(path.join(corrupt, "dist/plugin/index.js.part2"));
+
+        const crashed = run(crashing, strict);
+        assert.equal(crashed.status, 1);
+        assert.match(crashed.stderr, /Failed to load plugin:/);
+
+        const broken = run(corrupt, strict);
+        assert.equal(broken.status, 1);
+        assert.match(broken.stderr, /Error during reassembly:/);
+        assert.match(
+          broken.stderr,
+          /part 2\/\d+ \(index\.js\.part2\) is missing/,
+        );
+
+        assert.equal(run(crashing, strict, "index.cjs").status, 1);
+      } finally {
+        fs.rmSync(crashing, { recursive: true, force: true });
+        fs.rmSync(corrupt, { recursive: true, force: true });
+      }
+    });
+
+    it("rejects unknown modes", () => {
+      const root = createDist(format);
+      try {
+        const result = run(root, { PLUGIN_REASSEMBLY_MODE: "ramdisk" });
+
+        assert.match(result.stderr, /Invalid PLUGIN_REASSEMBLY_MODE 'ramdisk'/);
+        assert.doesNotMatch(result.stdout, /plugin: hello/);
+      } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+  });
+}
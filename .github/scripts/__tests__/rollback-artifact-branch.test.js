@@ -0,0 +1,293 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  MAX_ROLLBACK_DEPTH,
+  formatRollbackMessage,
+  listArtifactHistory,
+  parseRollbackSelector,
+  rollbackArtifactBranch,
+  selectRollbackTarget,
+} = require("../rollback-artifact-branch.js");
+
+function publishMessage(sourceSha) {
+  return sourceSha
+    ? `chore: publish\n\nSource-Ref: main\nSource-Sha: ${sourceSha}\n`
+    : "chore: [skip ci] updated manifest.json and dist build";
+}
+
+// dist/main: a3 -> a2 -> a1 on top of the source commit it was first built
+// on, s1. Without trailers the messages predate provenance.
+function createOctokit({
+  headSha = "a3",
+  updateRefError,
+  trailers = true,
+} = {}) {
+  const calls = { createCommit: [], updateRef: [] };
+  const source = (sha) => (trailers ? sha : null);
+  const commits = {
+    a3: { tree: "tree-3", message: publishMessage(source("s3")), parent: "a2" },
+    a2: { tree: "tree-2", message: publishMessage(source("s2")), parent: "a1" },
+    a1: { tree: "tree-1", message: publishMessage(source("s2")), parent: "s1" },
+    s1: { tree: "source-tree", message: "feat: first", parent: "s0" },
+    s0: { tree: "source-tree-0", message: "feat: init", parent: null },
+  };
+  const octokit = {
+    rest: {
+      git: {
+        getRef: async () => {
+          if (!headSha) {
+            const error = new Error("Not Found");
+            error.status = 404;
+            throw error;
+          }
+          return { data: { object: { sha: headSha } } };
+        },
+        getCommit: async ({ commit_sha }) => {
+          const commit = commits[commit_sha];
+          return {
+            data: {
+              sha: commit_sha,
+              tree: { sha: commit.tree },
+              message: commit.message,
+              parents: commit.parent ? [{ sha: commit.parent }] : [],
+            },
+          };
+        },
+        createCommit: async (params) => {
+          calls.createCommit.push(params);
+          return { data: { sha: "rollback-commit" } };
+        },
+        updateRef: async (params) => {
+          if (updateRefError) {
+            throw updateRefError;
+          }
+          calls.updateRef.push(params);
+        },
+      },
+    },
+  };
+  return { octokit, calls };
+}
+
+describe("parseRollbackSelector", () => {
+  it("defaults to one publish back", () => {
+    assert.deepEqual(parseRollbackSelector({}), { type: "steps", value: 1 });
+  });
+
+  it("parses each selector", () => {
+    assert.deepEqual(parseRollbackSelector({ steps: " 3 " }), {
+      type: "steps",
+      value: 3,
+    });
+    assert.deepEqual(parseRollbackSelector({ sha: "ABCDEF1" }), {
+      type: "sha",
+      value: "abcdef1",
+    });
+    assert.deepEqual(parseRollbackSelector({ sourceSha: "1234567890" }), {
+      type: "source",
+      value: "1234567890",
+    });
+  });
+
+  it("rejects invalid or conflicting selectors", () => {
+    assert.throws(
+      () => parseRollbackSelector({ sha: "abcdef1", steps: "2" }),
+      /Set only one of rollbackSha, rollbackSteps or rollbackSourceSha \(got rollbackSha, rollbackSteps\)/,
+    );
+    assert.throws(
+      () => parseRollbackSelector({ steps: "0" }),
+      /Invalid rollbackSteps '0'/,
+    );
+    assert.throws(
+      () => parseRollbackSelector({ steps: String(MAX_ROLLBACK_DEPTH + 1) }),
+      /Must be an integer from 1 to 100/,
+    );
+    assert.throws(
+      () => parseRollbackSelector({ sourceSha: "main" }),
+      /Invalid rollbackSourceSha 'main'/,
+    );
+  });
+});
+
+describe("listArtifactHistory", () => {
+  it("follows first parents until the source commit", async () => {
+    const { octokit } = createOctokit();
+
+    const history = await listArtifactHistory(octokit, "owner", "repo", "a3");
+
+    assert.deepEqual(
+      history.map(({ sha, treeSha, sourceSha }) => [sha, treeSha, sourceSha]),
+      [
+        ["a3", "tree-3", "s3"],
+        ["a2", "tree-2", "s2"],
+        ["a1", "tree-1", "s2"],
+      ],
+    );
+  });
+
+  it("stops at commits published before provenance trailers", async () => {
+    const { octokit } = createOctokit({ trailers: false });
+
+    const history = await listArtifactHistory(octokit, "owner", "repo", "a3");
+
+    assert.deepEqual(
+      history.map(({ sha, sourceSha }) => [sha, sourceSha]),
+      [["a3", null]],
+    );
+  });
+});
+
+describe("selectRollbackTarget", () => {
+  const history = [
+    { sha: "aaaaaaa3", sourceSha: "s3" },
+    { sha: "aaaaaaa2", sourceSha: "s2" },
+    { sha: "aaaaaaa1", sourceSha: "s2" },
+  ];
+
+  it("selects by steps, artifact SHA prefix or newest matching source SHA", () => {
+    assert.equal(
+      selectRollbackTarget(history, { type: "steps", value: 2 }).target.sha,
+      "aaaaaaa1",
+    );
+    assert.deepEqual(
+      selectRollbackTarget(history, { type: "sha", value: "aaaaaaa1" }).steps,
+      2,
+    );
+    assert.deepEqual(
+      selectRollbackTarget(history, { type: "source", value: "s2" }),
+      { target: history[1], steps: 1 },
+    );
+  });
+
+  it("never selects the head and reports missing targets", () => {
+    assert.throws(
+      () => selectRollbackTarget(history, { type: "steps", value: 3 }),
+      /only 2 earlier artifact commit\(s\) found/,
+    );
+    assert.throws(
+      () => selectRollbackTarget(history, { type: "sha", value: "aaaaaaa3" }),
+      /already the head/,
+    );
+    assert.throws(
+      () => selectRollbackTarget(history, { type: "sha", value: "bbbbbbb" }),
+      /is not among the last 2 artifact commit\(s\)/,
+    );
+    assert.throws(
+      () => selectRollbackTarget(history, { type: "source", value: "s3" }),
+      /No earlier artifact commit records Source-Sha s3/,
+    );
+  });
+});
+
+describe("formatRollbackMessage", () => {
+  it("keeps the target's provenance and records the rollback", () => {
+    const message = formatRollbackMessage({
+      artifactRef: "dist/main",
+      head: { sha: "headsha" },
+      target: {
+        sha: "abcdef1234",
+        message: `${publishMessage("s2").trimEnd()}\nRollback-From: older\nRollback-To: oldest\n`,
+      },
+    });
+
+    assert.equal(
+      message,
+      "chore: [skip ci] roll back dist/main to abcdef1\n\nSource-Ref: main\nSource-Sha: s2\nRollback-From: headsha\nRollback-To: abcdef1234\n",
+    );
+  });
+});
+
+describe("rollbackArtifactBranch", () => {
+  it("restores the target tree as a fast-forward commit on the head", async () => {
+    const { octokit, calls } = createOctokit();
+
+    const result = await rollbackArtifactBranch({
+      octokit,
+      owner: "owner",
+      repo: "repo",
+      artifactRef: "dist/main",
+      selector: { type: "source", value: "s2" },
+    });
+
+    assert.equal(result.changed, true);
+    assert.equal(result.commitSha, "rollback-commit");
+    assert.equal(result.target.sha, "a2");
+    assert.equal(calls.createCommit[0].tree, "tree-2");
+    assert.deepEqual(calls.createCommit[0].parents, ["a3"]);
+    assert.match(calls.createCommit[0].message, /Rollback-To: a2/);
+    assert.deepEqual(calls.updateRef[0], {
+      owner: "owner",
+      repo: "repo",
+      ref: "heads/dist/main",
+      sha: "rollback-commit",
+      force: false,
+    });
+  });
+
+  it("never restores source commits below the artifact history", async () => {
+    // Nothing looks up the source branch, so it may be deleted or rewritten.
+    for (const [trailers, earlier] of [
+      [true, 2],
+      [false, 0],
+    ]) {
+      const { octokit, calls } = createOctokit({ trailers });
+      await assert.rejects(
+        rollbackArtifactBranch({
+          octokit,
+          owner: "owner",
+          repo: "repo",
+          artifactRef: "dist/main",
+          selector: { type: "steps", value: earlier + 1 },
+        }),
+        new RegExp(`only ${earlier} earlier artifact commit\\(s\\) found`),
+      );
+      assert.deepEqual(calls.createCommit, []);
+    }
+  });
+
+  it("signs the rollback commit when a signer is configured", async () => {
+    const { octokit, calls } = createOctokit();
+    const signer = {
+      format: "ssh",
+      sign: () => ({ signature: "signed" }),
+    };
+
+    await rollbackArtifactBranch({
+      octokit,
+      owner: "owner",
+      repo: "repo",
+      artifactRef: "dist/main",
+      selector: { type: "steps", value: 1 },
+      signer,
+    });
+
+    assert.equal(calls.createCommit[0].signature, "signed");
+  });
+
+  it("fails without a branch or when the head moved", async () => {
+    await assert.rejects(
+      rollbackArtifactBranch({
+        octokit: createOctokit({ headSha: null }).octokit,
+        owner: "owner",
+        repo: "repo",
+        artifactRef: "dist/main",
+        selector: { type: "steps", value: 1 },
+      }),
+      /Artifact branch dist\/main does not exist/,
+    );
+
+    const conflict = new Error("Update is not a fast forward");
+    conflict.status = 422;
+    await assert.rejects(
+      rollbackArtifactBranch({
+        octokit: createOctokit({ updateRefError: conflict }).octokit,
+        owner: "owner",
+        repo: "repo",
+        artifactRef: "dist/main",
+        selector: { type: "steps", value: 1 },
+      }),
+      /moved during the rollback; nothing was changed/,
+    );
+  });
+});
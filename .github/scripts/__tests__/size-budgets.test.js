@@ -0,0 +1,174 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  checkSizeBudgets,
+  formatBudgetReport,
+  measureArtifactFiles,
+  parseSize,
+  parseSizeBudgetAction,
+  parseSizeBudgets,
+} = require("../size-budgets.js");
+
+function blobEntry(entryPath, size, chunkOf) {
+  const entry = {
+    path: entryPath,
+    mode: "100644",
+    type: "blob",
+    content: "x".repeat(size),
+  };
+  if (chunkOf) {
+    entry.chunkOf = chunkOf;
+  }
+  return entry;
+}
+
+describe("parseSizeBudgets", () => {
+  it("parses globs with absolute and growth limits", () => {
+    assert.deepEqual(
+      parseSizeBudgets(
+        "# budgets\ntotal 20MB +10%\n\ndist/plugin/index.js 1.5KB, +250KB\n",
+      ),
+      [
+        {
+          pattern: "total",
+          limits: [
+            { type: "absolute", bytes: 20 * 1024 * 1024 },
+            { type: "percent", percent: 10 },
+          ],
+        },
+        {
+          pattern: "dist/plugin/index.js",
+          limits: [
+            { type: "absolute", bytes: 1536 },
+            { type: "growth", bytes: 250 * 1024 },
+          ],
+        },
+      ],
+    );
+  });
+
+  it("rejects budgets without limits and malformed sizes", () => {
+    assert.throws(() => parseSizeBudgets("dist/**"), /has no limit/);
+    assert.throws(() => parseSizeBudgets("total 5 apples"), /Invalid size/);
+    assert.throws(() => parseSizeBudgets("total +%"), /Invalid size growth/);
+  });
+
+  it("parses sizes and budget actions", () => {
+    assert.equal(parseSize("512"), 512);
+    assert.equal(parseSize("2mb"), 2 * 1024 * 1024);
+    assert.equal(parseSizeBudgetAction(""), "fail");
+    assert.equal(parseSizeBudgetAction("WARN"), "warn");
+    assert.throws(() => parseSizeBudgetAction("ignore"), /size budget action/);
+  });
+});
+
+describe("checkSizeBudgets", () => {
+  const treeEntries = [
+    blobEntry("manifest.json", 100),
+    blobEntry("dist/plugin/index.js.part1", 600, "dist/plugin/index.js"),
+    blobEntry("dist/plugin/index.js.part2", 600, "dist/plugin/index.js"),
+    blobEntry("dist/plugin/new.js", 300),
+  ];
+  const currentTree = new Map([
+    ["manifest.json", { sha: "a", size: 100 }],
+    ["dist/plugin/index.js", { sha: "b", size: 1000 }],
+  ]);
+
+  it("measures chunked files as a whole", () => {
+    assert.equal(
+      measureArtifactFiles(treeEntries).get("dist/plugin/index.js"),
+      1200,
+    );
+  });
+
+  it("reports absolute and growth violations per file", () => {
+    const violations = checkSizeBudgets({
+      treeEntries,
+      currentTree,
+      budgets: parseSizeBudgets("dist/plugin/*.js 1KB +10%"),
+    });
+
+    assert.deepEqual(violations, [
+      {
+        pattern: "dist/plugin/*.js",
+        path: "dist/plugin/index.js",
+        size: 1200,
+        previousSize: 1000,
+        limit: "1.0 KB",
+        allowed: 1024,
+      },
+      {
+        pattern: "dist/plugin/*.js",
+        path: "dist/plugin/index.js",
+        size: 1200,
+        previousSize: 1000,
+        limit: "+10%",
+        allowed: 1100,
+      },
+    ]);
+  });
+
+  it("checks the total against the previous artifact", () => {
+    const violations = checkSizeBudgets({
+      treeEntries,
+      currentTree,
+      budgets: parseSizeBudgets("total 2KB +40%"),
+    });
+
+    assert.equal(violations.length, 1);
+    assert.equal(violations[0].size, 1600);
+    assert.equal(violations[0].previousSize, 1100);
+    assert.equal(violations[0].allowed, 1540);
+  });
+
+  it("matches file globs like artifactInclude does", () => {
+    const entries = [
+      blobEntry("dist/index.js", 200),
+      blobEntry("dist/index.cjs", 200),
+      blobEntry("dist/plugin/index.map", 200),
+    ];
+    const paths = (budgets) =>
+      checkSizeBudgets({
+        treeEntries: entries,
+        currentTree: new Map(),
+        budgets: parseSizeBudgets(budgets),
+      }).map((violation) => violation.path);
+
+    assert.deepEqual(paths("dist/**/*.js 100B"), ["dist/index.js"]);
+    assert.deepEqual(paths("dist/**/*.{js,cjs} 100B"), [
+      "dist/index.js",
+      "dist/index.cjs",
+    ]);
+    assert.deepEqual(paths("dist/*.{map,cjs}, 100B"), ["dist/index.cjs"]);
+  });
+
+  it("skips growth limits when there is no previous artifact", () => {
+    assert.deepEqual(
+      checkSizeBudgets({
+        treeEntries,
+        currentTree: new Map(),
+        budgets: parseSizeBudgets("total +1%\ndist/** +1B"),
+      }),
+      [],
+    );
+  });
+});
+
+describe("formatBudgetReport", () => {
+  it("renders a breakdown table", () => {
+    const report = formatBudgetReport([
+      {
+        pattern: "total",
+        path: "total",
+        size: 2048,
+        limit: "1.0 KB",
+        allowed: 1024,
+      },
+    ]);
+    assert.match(
+      report,
+      /\| `total` \| `total` \| 2\.0 KB \| - \| 1\.0 KB \| 1\.0 KB \|/,
+    );
+  });
+});
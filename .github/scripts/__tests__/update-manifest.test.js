@@ -1,12 +1,45 @@
 const { describe, it } = require("node:test");
 const assert = require("node:assert/strict");
+const path = require("node:path");
 
 const {
+  MANIFEST_TOOL_NAME,
   MANIFEST_TOOL_PACKAGE,
   getManifestToolArgs,
+  resolveManifestTool,
   runManifestTool,
 } = require("../update-manifest.js");
 
+function createFs(files, directories = []) {
+  return {
+    existsSync: (file) => file in files || directories.includes(file),
+    readFileSync: (file) => files[file],
+    statSync: (file) => ({ isDirectory: () => directories.includes(file) }),
+    appendFileSync: (file, text) => {
+      files[file] = (files[file] || "") + text;
+    },
+  };
+}
+
+const projectRoot = path.resolve("/work/plugin");
+const installedDir = path.join(
+  projectRoot,
+  "node_modules",
+  "@ubiquity-os",
+  "plugin-manifest-tool",
+);
+
+function installedToolFiles(version, dir = installedDir) {
+  return {
+    [path.join(dir, "package.json")]: JSON.stringify({
+      name: MANIFEST_TOOL_NAME,
+      version,
+      bin: { "plugin-manifest-tool": "dist/cli.js" },
+    }),
+    [path.join(dir, "dist", "cli.js")]: "",
+  };
+}
+
 describe("update-manifest wrapper", () => {
   it("builds arguments without a project path", () => {
     const args = getManifestToolArgs(["node", "update-manifest.js"]);
@@ -69,3 +102,194 @@ describe("update-manifest wrapper", () => {
     assert.equal(exitCode, 1);
   });
 });
+
+describe("resolveManifestTool", () => {
+  it("falls back to the latest release without a project install", () => {
+    assert.deepEqual(resolveManifestTool({ projectRoot, fs: createFs({}) }), {
+      command: "bunx",
+      args: [MANIFEST_TOOL_PACKAGE],
+      version: MANIFEST_TOOL_PACKAGE,
+      source: "registry",
+    });
+  });
+
+  it("prefers the project-local install", () => {
+    const tool = resolveManifestTool({
+      projectRoot,
+      fs: createFs(installedToolFiles("1.4.2")),
+    });
+
+    assert.deepEqual(tool, {
+      command: "bun",
+      args: [path.join(installedDir, "dist", "cli.js")],
+      version: `${MANIFEST_TOOL_NAME}@1.4.2`,
+      source: "project",
+    });
+  });
+
+  it("runs a pinned release unless the project installs that version", () => {
+    const fileSystem = createFs(installedToolFiles("1.4.2"));
+
+    assert.equal(
+      resolveManifestTool({ spec: "1.4.2", projectRoot, fs: fileSystem })
+        .source,
+      "project",
+    );
+    assert.deepEqual(
+      resolveManifestTool({ spec: "1.5.0", projectRoot, fs: fileSystem }),
+      {
+        command: "bunx",
+        args: [`${MANIFEST_TOOL_NAME}@1.5.0`],
+        version: `${MANIFEST_TOOL_NAME}@1.5.0`,
+        source: "registry",
+      },
+    );
+  });
+
+  it("uses a project install that satisfies a range or latest", () => {
+    const fileSystem = createFs(installedToolFiles("1.4.2"));
+    const source = (spec) =>
+      resolveManifestTool({ spec, projectRoot, fs: fileSystem }).source;
+
+    assert.equal(source("^1.2"), "project");
+    assert.equal(source("~1.4.0"), "project");
+    assert.equal(source("latest"), "project");
+    assert.equal(source("^2"), "registry");
+    assert.equal(source("next"), "registry");
+  });
+
+  it("finds installs hoisted to the workspace root", () => {
+    const workspaceRoot = path.resolve("/work");
+    const hoistedDir = path.join(
+      workspaceRoot,
+      "node_modules",
+      "@ubiquity-os",
+      "plugin-manifest-tool",
+    );
+    const fileSystem = createFs(installedToolFiles("1.4.2", hoistedDir));
+
+    assert.deepEqual(
+      resolveManifestTool({
+        spec: "^1",
+        projectRoot,
+        workspaceRoot,
+        fs: fileSystem,
+      }),
+      {
+        command: "bun",
+        args: [path.join(hoistedDir, "dist", "cli.js")],
+        version: `${MANIFEST_TOOL_NAME}@1.4.2`,
+        source: "project",
+      },
+    );
+    // Without a workspace root only the project itself is searched.
+    assert.equal(
+      resolveManifestTool({ projectRoot, fs: fileSystem }).source,
+      "registry",
+    );
+  });
+
+  it("runs local packages, scripts and binaries by path", () => {
+    const toolDir = path.join(projectRoot, "tools", "manifest");
+    const fileSystem = createFs(
+      {
+        [path.join(toolDir, "package.json")]: JSON.stringify({
+          name: "local-tool",
+          version: "0.0.1",
+          bin: "cli.ts",
+        }),
+        [path.join(toolDir, "cli.ts")]: "",
+        [path.join(projectRoot, "bin", "manifest-tool")]: "",
+      },
+      [toolDir],
+    );
+
+    assert.deepEqual(
+      resolveManifestTool({
+        spec: "./tools/manifest",
+        projectRoot,
+        fs: fileSystem,
+      }),
+      {
+        command: "bun",
+        args: [path.join(toolDir, "cli.ts")],
+        version: `local-tool@0.0.1 (${toolDir})`,
+        source: "path",
+      },
+    );
+    assert.equal(
+      resolveManifestTool({
+        spec: "bin/manifest-tool",
+        projectRoot,
+        fs: fileSystem,
+      }).command,
+      path.join(projectRoot, "bin", "manifest-tool"),
+    );
+    assert.throws(
+      () =>
+        resolveManifestTool({
+          spec: "./missing.js",
+          projectRoot,
+          fs: fileSystem,
+        }),
+      /Manifest tool not found/,
+    );
+  });
+});
+
+describe("runManifestTool tool selection", () => {
+  it("runs the project-local tool and records its version", () => {
+    const files = installedToolFiles("1.4.2");
+    let invocation = null;
+
+    const exitCode = runManifestTool({
+      argv: ["node", "update-manifest.js", projectRoot],
+      env: { GITHUB_ENV: "/tmp/github-env" },
+      fs: createFs(files),
+      spawnSync: (command, args) => {
+        invocation = { command, args };
+        return { status: 0 };
+      },
+    });
+
+    assert.equal(exitCode, 0);
+    assert.deepEqual(invocation, {
+      command: "bun",
+      args: [path.join(installedDir, "dist", "cli.js"), projectRoot],
+    });
+    assert.equal(
+      files["/tmp/github-env"],
+      `MANIFEST_TOOL_VERSION=${MANIFEST_TOOL_NAME}@1.4.2\n`,
+    );
+  });
+
+  it("pins the registry package from MANIFEST_TOOL", () => {
+    let invocation = null;
+
+    runManifestTool({
+      argv: ["node", "update-manifest.js", projectRoot],
+      env: { MANIFEST_TOOL: "2.0.0" },
+      fs: createFs({}),
+      spawnSync: (command, args) => {
+        invocation = { command, args };
+        return { status: 0 };
+      },
+    });
+
+    assert.deepEqual(invocation, {
+      command: "bunx",
+      args: [`${MANIFEST_TOOL_NAME}@2.0.0`, projectRoot],
+    });
+  });
+
+  it("returns 1 when the configured tool cannot be resolved", () => {
+    const exitCode = runManifestTool({
+      argv: ["node", "update-manifest.js", projectRoot],
+      env: { MANIFEST_TOOL: "./missing" },
+      fs: createFs({}),
+      spawnSync: () => assert.fail("should not spawn"),
+    });
+
+    assert.equal(exitCode, 1);
+  });
+});
@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+function formatOutput(name, value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  if (!/[\r\n]/.test(text)) {
+    return `${name}=${text}\n`;
+  }
+  const delimiter = `ghadelimiter_${crypto.randomBytes(8).toString("hex")}`;
+  return `${name}<<${delimiter}\n${text}\n${delimiter}\n`;
+}
+
+/**
+ * Appends step outputs to the `GITHUB_OUTPUT` file. Outside of Actions (no
+ * `GITHUB_OUTPUT`) the outputs are only logged.
+ *
+ * @param {Record<string, string | number | boolean | null | undefined>} outputs
+ * @param {{ env?: NodeJS.ProcessEnv, appendFileSync?: typeof fs.appendFileSync }} [options]
+ * @returns {string} The text that was written.
+ */
+function writeActionOutputs(outputs, options = {}) {
+  const env = options.env ?? process.env;
+  const appendFileSync = options.appendFileSync ?? fs.appendFileSync;
+
+  const text = Object.entries(outputs)
+    .map(([name, value]) => formatOutput(name, value))
+    .join("");
+  if (env.GITHUB_OUTPUT) {
+    appendFileSync(env.GITHUB_OUTPUT, text);
+  } else {
+    console.log(`Outputs:\n${text.trimEnd()}`);
+  }
+  return text;
+}
+
+/**
+ * Parses outputs in the format {@link formatOutput} writes.
+ *
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+function parseActionOutputs(text) {
+  const outputs = {};
+  const lines = String(text || "").split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const heredoc = lines[i].match(/^([^=<]+)<<(.+)$/);
+    if (heredoc) {
+      const end = lines.indexOf(heredoc[2], i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated output '${heredoc[1]}'`);
+      }
+      outputs[heredoc[1]] = lines.slice(i + 1, end).join("\n");
+      i = end;
+    } else if (lines[i].includes("=")) {
+      const separator = lines[i].indexOf("=");
+      outputs[lines[i].slice(0, separator)] = lines[i].slice(separator + 1);
+    }
+  }
+  return outputs;
+}
+
+function toResultValue(name, value) {
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  if (name.endsWith("_count") && /^\d+$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Combines the outputs of a step that ran once per plugin. `results` lists
+ * every plugin's outputs (camelCased, e.g. `{ name, artifactRef, changed }`).
+ * With a single plugin the outputs pass through unchanged; with several,
+ * `changed` is true when any plugin changed, `skip_reason` is kept only when
+ * every plugin was skipped for the same reason, and the other single-value
+ * outputs are left out because they would only describe one plugin.
+ *
+ * @param {Array<{ name: string, outputs: Record<string, string> }>} runs
+ * @returns {Record<string, string | boolean>}
+ */
+function combinePluginOutputs(runs) {
+  const results = runs.map(({ name, outputs }) => {
+    const result = { name };
+    for (const [outputName, value] of Object.entries(outputs)) {
+      result[outputName.replace(/_([a-z])/g, (_, c) => c.toUpperCase())] =
+        toResultValue(outputName, value);
+    }
+    return result;
+  });
+  if (runs.length === 1) {
+    return { ...runs[0].outputs, results: JSON.stringify(results) };
+  }
+
+  const changed = runs.some(({ outputs }) => outputs.changed === "true");
+  const skipReasons = new Set(
+    runs.map(({ outputs }) => outputs.skip_reason || ""),
+  );
+  return {
+    changed,
+    skip_reason: !changed && skipReasons.size === 1 ? [...skipReasons][0] : "",
+    results: JSON.stringify(results),
+  };
+}
+
+/**
+ * Reads the per-plugin output files `<dir>/1`, `<dir>/2`, ... written in the
+ * order of the plugin table (`PLUGINS_FILE`) and writes the combined outputs.
+ *
+ * @param {string} dir
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+function combinePluginOutputsFromEnv(dir, env = process.env) {
+  const names = fs
+    .readFileSync(env.PLUGINS_FILE, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => line.split("\t").pop());
+  const runs = names.map((name, index) => {
+    const file = path.join(dir, String(index + 1));
+    return {
+      name,
+      outputs: fs.existsSync(file)
+        ? parseActionOutputs(fs.readFileSync(file, "utf8"))
+        : {},
+    };
+  });
+  return writeActionOutputs(combinePluginOutputs(runs), { env });
+}
+
+module.exports = {
+  combinePluginOutputs,
+  formatOutput,
+  parseActionOutputs,
+  writeActionOutputs,
+};
+
+if (require.main === module) {
+  const [command, dir] = process.argv.slice(2);
+  if (command !== "combine" || !dir) {
+    console.error("Usage: action-outputs.js combine <outputs-dir>");
+    process.exit(1);
+  }
+  try {
+    combinePluginOutputsFromEnv(dir);
+  } catch (error) {
+    console.error("Error combining plugin outputs:", error);
+    process.exit(1);
+  }
+}
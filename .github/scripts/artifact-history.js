@@ -0,0 +1,140 @@
+const { parseTrailers } = require("./build-info.js");
+const { signCommitParams } = require("./commit-signing.js");
+
+const HISTORY_MODES = ["append", "squash", "capped"];
+const DEFAULT_HISTORY_LIMIT = 10;
+
+/**
+ * Validates the history policy inputs.
+ *
+ * @param {string | undefined} mode
+ * @param {string | number | undefined} limit
+ * @returns {{ mode: "append" | "squash" | "capped", limit: number }}
+ */
+function parseHistoryPolicy(mode, limit) {
+  const normalizedMode = String(mode || "append")
+    .trim()
+    .toLowerCase();
+  if (!HISTORY_MODES.includes(normalizedMode)) {
+    throw new Error(
+      `Invalid history mode '${mode}'. Must be one of: ${HISTORY_MODES.join(", ")}.`,
+    );
+  }
+
+  const parsedLimit =
+    limit === undefined || limit === null || String(limit).trim() === ""
+      ? DEFAULT_HISTORY_LIMIT
+      : Number(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1) {
+    throw new Error(
+      `Invalid history limit '${limit}'. Must be a positive integer.`,
+    );
+  }
+
+  return { mode: normalizedMode, limit: parsedLimit };
+}
+
+/**
+ * Lists up to `limit` artifact commits from the head by following first
+ * parents. Artifact commits carry a `Source-Sha` trailer, so the walk stops
+ * at the source commit the history started from (or at an orphan root).
+ *
+ * @returns {Promise<Array<{ message: string, tree: { sha: string }, author: object, parents: Array<{ sha: string }> }>>}
+ */
+async function listArtifactCommits(octokit, owner, repo, headSha, limit) {
+  const commits = [];
+  let nextSha = headSha;
+  while (nextSha && commits.length < limit) {
+    const commit = await octokit.rest.git.getCommit({
+      owner,
+      repo,
+      commit_sha: nextSha,
+    });
+    if (!parseTrailers(commit.data.message)["Source-Sha"]) {
+      break;
+    }
+    commits.push(commit.data);
+    nextSha = commit.data.parents.length ? commit.data.parents[0].sha : null;
+  }
+  return commits;
+}
+
+/**
+ * Resolves the parents for the next artifact commit under the history policy.
+ * In capped mode the most recent `limit - 1` artifact commits are replayed
+ * onto a new orphan root when the existing history is longer than that.
+ * Only commits with a `Source-Sha` trailer count, so the source commit a
+ * branch was first published on is never replayed, and branches published
+ * before the trailers existed keep appending until enough new commits exist.
+ *
+ * @param {{
+ *   octokit: ReturnType<typeof import("@actions/github").getOctokit>,
+ *   owner: string,
+ *   repo: string,
+ *   artifactSha: string | null,
+ *   sourceSha: string,
+ *   policy: ReturnType<typeof parseHistoryPolicy>,
+ *   signer?: ReturnType<typeof import("./commit-signing").createCommitSigner> | null,
+ * }} options
+ * @returns {Promise<{ parents: string[], force: boolean }>}
+ */
+async function resolveArtifactParents({
+  octokit,
+  owner,
+  repo,
+  artifactSha,
+  sourceSha,
+  policy,
+  signer = null,
+}) {
+  if (policy.mode === "append") {
+    return { parents: [artifactSha || sourceSha], force: false };
+  }
+
+  const keepCount = policy.mode === "squash" ? 0 : policy.limit - 1;
+  if (!artifactSha || keepCount === 0) {
+    return { parents: [], force: Boolean(artifactSha) };
+  }
+
+  // One more than is kept tells whether the history is over the cap.
+  const history = await listArtifactCommits(
+    octokit,
+    owner,
+    repo,
+    artifactSha,
+    keepCount + 1,
+  );
+  if (history.length <= keepCount) {
+    return { parents: [artifactSha], force: false };
+  }
+
+  const kept = history.slice(0, keepCount);
+  console.log(
+    `Capping artifact history to ${policy.limit} commit(s); replaying ${kept.length} commit(s) onto a new root.`,
+  );
+  let parentSha = null;
+  for (const commit of kept.reverse()) {
+    const replayed = await octokit.rest.git.createCommit(
+      signCommitParams(
+        {
+          owner,
+          repo,
+          message: commit.message,
+          tree: commit.tree.sha,
+          parents: parentSha ? [parentSha] : [],
+          author: commit.author,
+        },
+        signer,
+      ),
+    );
+    parentSha = replayed.data.sha;
+  }
+  return { parents: [parentSha], force: true };
+}
+
+module.exports = {
+  DEFAULT_HISTORY_LIMIT,
+  HISTORY_MODES,
+  parseHistoryPolicy,
+  resolveArtifactParents,
+};
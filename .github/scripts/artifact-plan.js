@@ -0,0 +1,304 @@
+const crypto = require("crypto");
+
+/**
+ * Returns the raw bytes of a collected tree entry.
+ *
+ * @param {{ content: string, encoding?: string }} entry
+ * @returns {Buffer}
+ */
+function getEntryBuffer(entry) {
+  return Buffer.from(
+    entry.content,
+    entry.encoding === "base64" ? "base64" : "utf8",
+  );
+}
+
+/**
+ * Computes the git blob SHA-1 for a collected tree entry, matching the SHA
+ * GitHub assigns when the same content is uploaded with `createBlob`.
+ *
+ * @param {{ content: string, encoding?: string }} entry
+ * @returns {string}
+ */
+function computeBlobSha(entry) {
+  const buffer = getEntryBuffer(entry);
+  return crypto
+    .createHash("sha1")
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest("hex");
+}
+
+/**
+ * Fetches the tree SHA and blob entries referenced by an artifact commit.
+ * Returns an empty tree when there is no artifact commit yet.
+ *
+ * @param {ReturnType<typeof import("@actions/github").getOctokit>} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string | null} commitSha
+ * @returns {Promise<{ treeSha: string | null, files: Map<string, { sha: string, size: number, mode: string }> }>}
+ */
+async function fetchArtifactTree(octokit, owner, repo, commitSha) {
+  const files = new Map();
+  if (!commitSha) {
+    return { treeSha: null, files };
+  }
+
+  const commit = await octokit.rest.git.getCommit({
+    owner,
+    repo,
+    commit_sha: commitSha,
+  });
+  const tree = await octokit.rest.git.getTree({
+    owner,
+    repo,
+    tree_sha: commit.data.tree.sha,
+    recursive: "true",
+  });
+  if (tree.data.truncated) {
+    console.log(
+      `::warning::Artifact tree ${commit.data.tree.sha} is truncated; diff may be incomplete.`,
+    );
+  }
+
+  for (const item of tree.data.tree) {
+    if (item.type !== "blob") {
+      continue;
+    }
+    files.set(item.path, {
+      sha: item.sha,
+      size: Number(item.size) || 0,
+      mode: item.mode,
+    });
+  }
+  return { treeSha: commit.data.tree.sha, files };
+}
+
+/**
+ * Reads a blob from the artifact tree as UTF-8 text.
+ *
+ * @param {ReturnType<typeof import("@actions/github").getOctokit>} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} fileSha
+ * @returns {Promise<string>}
+ */
+async function readBlobText(octokit, owner, repo, fileSha) {
+  const blob = await octokit.rest.git.getBlob({
+    owner,
+    repo,
+    file_sha: fileSha,
+  });
+  return Buffer.from(
+    blob.data.content,
+    blob.data.encoding || "base64",
+  ).toString("utf8");
+}
+
+/**
+ * Describes each collected entry by path, size and local blob SHA.
+ *
+ * @param {Array<{ path: string, mode: string, content: string, encoding?: string, chunkOf?: string }>} treeEntries
+ */
+function describeTreeEntries(treeEntries) {
+  return treeEntries.map((entry) => {
+    const described = {
+      path: entry.path,
+      mode: entry.mode,
+      size: getEntryBuffer(entry).length,
+      sha: computeBlobSha(entry),
+    };
+    if (entry.chunkOf) {
+      described.chunkOf = entry.chunkOf;
+    }
+    return described;
+  });
+}
+
+/**
+ * Diffs described entries against the current artifact tree.
+ *
+ * @param {ReturnType<typeof describeTreeEntries>} files
+ * @param {Map<string, { sha: string, size: number, mode?: string }>} currentTree
+ */
+function diffArtifactTrees(files, currentTree) {
+  const added = [];
+  const modified = [];
+  const unchanged = [];
+  const nextPaths = new Set();
+
+  for (const file of files) {
+    nextPaths.add(file.path);
+    const current = currentTree.get(file.path);
+    if (!current) {
+      added.push({ path: file.path, size: file.size });
+    } else if (
+      current.sha !== file.sha ||
+      (current.mode && current.mode !== file.mode)
+    ) {
+      modified.push({
+        path: file.path,
+        previousSize: current.size,
+        size: file.size,
+      });
+    } else {
+      unchanged.push(file.path);
+    }
+  }
+
+  const removed = [];
+  for (const [filePath, current] of currentTree) {
+    if (!nextPaths.has(filePath)) {
+      removed.push({ path: filePath, previousSize: current.size });
+    }
+  }
+
+  const byPath = (a, b) => a.path.localeCompare(b.path);
+  return {
+    added: added.sort(byPath),
+    removed: removed.sort(byPath),
+    modified: modified.sort(byPath),
+    unchanged: unchanged.sort(),
+  };
+}
+
+/**
+ * Tells whether collected entries differ from the current artifact tree,
+ * ignoring the given paths.
+ *
+ * @param {Array<{ path: string, mode: string, content: string, encoding?: string }>} treeEntries
+ * @param {Map<string, { sha: string, size: number, mode?: string }>} currentTree
+ * @param {string[]} [ignoredPaths]
+ * @returns {boolean}
+ */
+function hasPayloadChanges(treeEntries, currentTree, ignoredPaths = []) {
+  const ignored = new Set(ignoredPaths);
+  const diff = diffArtifactTrees(
+    describeTreeEntries(
+      treeEntries.filter((entry) => !ignored.has(entry.path)),
+    ),
+    new Map([...currentTree].filter(([filePath]) => !ignored.has(filePath))),
+  );
+  return diff.added.length + diff.removed.length + diff.modified.length > 0;
+}
+
+/**
+ * Groups `.partN` entries by the file they were split from.
+ *
+ * @param {ReturnType<typeof describeTreeEntries>} files
+ * @returns {Array<{ path: string, parts: string[], size: number }>}
+ */
+function summarizeChunkedFiles(files) {
+  const groups = new Map();
+  for (const file of files) {
+    if (!file.chunkOf) {
+      continue;
+    }
+    const group = groups.get(file.chunkOf) || {
+      path: file.chunkOf,
+      parts: [],
+      size: 0,
+    };
+    group.parts.push(file.path);
+    group.size += file.size;
+    groups.set(file.chunkOf, group);
+  }
+  return [...groups.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Builds a publish plan describing what would land on the artifact branch.
+ * Paths in `ignoredPaths` are still listed in `files` but left out of `diff`
+ * and `changed`, like {@link hasPayloadChanges} does for a publish.
+ *
+ * @param {{
+ *   sourceRef: string,
+ *   sourceSha: string,
+ *   artifactRef: string,
+ *   artifactSha: string | null,
+ *   treeEntries: Array<{ path: string, mode: string, content: string, encoding?: string, chunkOf?: string }>,
+ *   currentTree: Map<string, { sha: string, size: number }>,
+ *   ignoredPaths?: string[],
+ * }} options
+ */
+function buildPublishPlan({
+  sourceRef,
+  sourceSha,
+  artifactRef,
+  artifactSha,
+  treeEntries,
+  currentTree,
+  ignoredPaths = [],
+}) {
+  const ignored = new Set(ignoredPaths);
+  const files = describeTreeEntries(treeEntries);
+  const diff = diffArtifactTrees(
+    files.filter((file) => !ignored.has(file.path)),
+    new Map([...currentTree].filter(([filePath]) => !ignored.has(filePath))),
+  );
+  return {
+    sourceRef,
+    sourceSha,
+    artifactRef,
+    artifactSha,
+    parentSha: artifactSha || sourceSha,
+    changed: diff.added.length + diff.removed.length + diff.modified.length > 0,
+    totalSize: files.reduce((total, file) => total + file.size, 0),
+    files,
+    chunkedFiles: summarizeChunkedFiles(files),
+    diff,
+  };
+}
+
+/**
+ * Renders a publish plan as a readable diff.
+ *
+ * @param {ReturnType<typeof buildPublishPlan>} plan
+ * @returns {string}
+ */
+function formatPlanDiff(plan) {
+  const lines = [
+    `Artifact branch: ${plan.artifactRef} (${plan.artifactSha || "new branch"})`,
+    `Source: ${plan.sourceRef} (${plan.sourceSha})`,
+    `Files: ${plan.files.length}, total ${plan.totalSize} bytes`,
+    "",
+  ];
+
+  for (const file of plan.diff.added) {
+    lines.push(`+ ${file.path} (${file.size} bytes)`);
+  }
+  for (const file of plan.diff.modified) {
+    lines.push(`~ ${file.path} (${file.previousSize} -> ${file.size} bytes)`);
+  }
+  for (const file of plan.diff.removed) {
+    lines.push(`- ${file.path} (${file.previousSize} bytes)`);
+  }
+  if (!plan.changed) {
+    lines.push("No changes against the current artifact tree.");
+  }
+
+  if (plan.chunkedFiles.length) {
+    lines.push("", "Chunked files:");
+    for (const chunked of plan.chunkedFiles) {
+      lines.push(
+        `  ${chunked.path} (${chunked.size} bytes) -> ${chunked.parts.length} part(s)`,
+      );
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  buildPublishPlan,
+  computeBlobSha,
+  describeTreeEntries,
+  diffArtifactTrees,
+  fetchArtifactTree,
+  formatPlanDiff,
+  getEntryBuffer,
+  hasPayloadChanges,
+  readBlobText,
+  summarizeChunkedFiles,
+};
@@ -0,0 +1,360 @@
+const fs = require("fs");
+const { braceExpand, minimatch } = require("minimatch");
+const { formatOutput, writeActionOutputs } = require("./action-outputs.js");
+
+const SOURCE_REF_TYPES = ["branch", "tag"];
+const TAG_ARTIFACT_SEGMENT = "tags/";
+const DEFAULT_ARTIFACT_TEMPLATES = {
+  branch: "{prefix}{ref}",
+  tag: `{prefix}${TAG_ARTIFACT_SEGMENT}{ref}`,
+};
+const TEMPLATE_PLACEHOLDERS = ["{prefix}", "{ref}"];
+// Shared by every input that selects artifact files (artifactInclude,
+// artifactExclude, sizeBudgets), so a glob selects the same files in each.
+// Dotfiles only match patterns that name them, e.g. `dist/.well-known/**`.
+const FILE_GLOB_OPTIONS = { dot: false };
+
+function normalizeBranchName(value) {
+  const branch = String(value || "")
+    .trim()
+    .replace(/^refs\/heads\//, "");
+  if (!branch) {
+    throw new Error("Branch name cannot be empty");
+  }
+  return branch;
+}
+
+function normalizeTagName(value) {
+  const tag = String(value || "")
+    .trim()
+    .replace(/^refs\/tags\//, "");
+  if (!tag) {
+    throw new Error("Tag name cannot be empty");
+  }
+  return tag;
+}
+
+function parseSourceRefType(value) {
+  const refType = String(value || "branch")
+    .trim()
+    .toLowerCase();
+  if (!SOURCE_REF_TYPES.includes(refType)) {
+    throw new Error(
+      `Invalid source ref type '${value}'. Must be one of: ${SOURCE_REF_TYPES.join(", ")}.`,
+    );
+  }
+  return refType;
+}
+
+function normalizeArtifactPrefix(value) {
+  const prefix = String(value || "dist/")
+    .trim()
+    .replace(/^refs\/heads\//, "");
+  if (!prefix) {
+    return "dist/";
+  }
+  return prefix.endsWith("/") ? prefix : `${prefix}/`;
+}
+
+/**
+ * Splits a newline or comma separated pattern list. Commas inside `{}` belong
+ * to brace globs such as `*.{wasm,node}` and do not split.
+ *
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+function parsePatternList(value) {
+  const patterns = [];
+  let current = "";
+  let depth = 0;
+  for (const char of String(value || "")) {
+    if (char === "\n" || (char === "," && depth === 0)) {
+      patterns.push(current);
+      current = "";
+      continue;
+    }
+    if (char === "{") {
+      depth += 1;
+    } else if (char === "}" && depth > 0) {
+      depth -= 1;
+    }
+    current += char;
+  }
+  patterns.push(current);
+  return patterns.map((pattern) => pattern.trim()).filter(Boolean);
+}
+
+/**
+ * Matches a branch name against a pattern. `*` and `?` stay within a path
+ * segment, `**` crosses segments and `{a,b}` alternatives are expanded.
+ *
+ * @param {string} branch
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchesBranchPattern(branch, pattern) {
+  return braceExpand(String(pattern).trim()).some((alternative) => {
+    const source = alternative
+      .replace(/^refs\/heads\//, "")
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*\*/g, "\u0000")
+      .replace(/\*/g, "[^/]*")
+      .replace(/\?/g, "[^/]")
+      .replace(/\u0000/g, ".*");
+    return new RegExp(`^${source}$`).test(branch);
+  });
+}
+
+/**
+ * Matches a workspace-relative file path against a file glob with the same
+ * semantics as `artifactInclude`/`artifactExclude`: a `**` segment also
+ * matches no directory at all and `{a,b}` alternatives are expanded.
+ *
+ * @param {string} filePath
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchesFileGlob(filePath, pattern) {
+  return minimatch(filePath, String(pattern).trim(), FILE_GLOB_OPTIONS);
+}
+
+/**
+ * Validates artifact naming templates. A template must start with `{prefix}`
+ * (so every artifact branch lives under the artifact prefix) and contain
+ * `{ref}` exactly once (so the source ref can be recovered when pruning).
+ *
+ * @param {{ branch?: string, tag?: string }} [templates]
+ * @returns {{ branch: string, tag: string }}
+ */
+function parseArtifactTemplates(templates = {}) {
+  const parsed = {};
+  for (const refType of SOURCE_REF_TYPES) {
+    const template =
+      String(templates[refType] || "").trim() ||
+      DEFAULT_ARTIFACT_TEMPLATES[refType];
+    const placeholders = template.match(/\{[^}]*\}/g) || [];
+    const unknown = placeholders.filter(
+      (placeholder) => !TEMPLATE_PLACEHOLDERS.includes(placeholder),
+    );
+    if (unknown.length) {
+      throw new Error(
+        `Invalid artifact ${refType} template '${template}': unknown placeholder ${unknown[0]}. Use ${TEMPLATE_PLACEHOLDERS.join(" and ")}.`,
+      );
+    }
+    if (!template.startsWith("{prefix}")) {
+      throw new Error(
+        `Invalid artifact ${refType} template '${template}': it must start with {prefix}.`,
+      );
+    }
+    if (placeholders.filter((item) => item === "{ref}").length !== 1) {
+      throw new Error(
+        `Invalid artifact ${refType} template '${template}': it must contain {ref} exactly once.`,
+      );
+    }
+    parsed[refType] = template;
+  }
+  return parsed;
+}
+
+function renderTemplate(template, prefix, ref) {
+  return template.replace(/\{prefix\}/g, prefix).replace("{ref}", ref);
+}
+
+function deriveArtifactRef(
+  sourceRef,
+  artifactPrefix,
+  refType = "branch",
+  templates = {},
+) {
+  const normalizedPrefix = normalizeArtifactPrefix(artifactPrefix);
+  const { branch, tag } = parseArtifactTemplates(templates);
+  if (parseSourceRefType(refType) === "tag") {
+    // Versioned artifacts live under `<prefix>tags/<tag>` by default.
+    return renderTemplate(tag, normalizedPrefix, normalizeTagName(sourceRef));
+  }
+  const normalizedSourceRef = normalizeBranchName(sourceRef);
+  if (normalizedSourceRef.startsWith(normalizedPrefix)) {
+    return normalizedSourceRef;
+  }
+  return renderTemplate(branch, normalizedPrefix, normalizedSourceRef);
+}
+
+function templateToRegExp(template, prefix) {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const [before, after] = template.split("{ref}");
+  return new RegExp(
+    `^${escape(renderTemplate(before, prefix, ""))}(.+)${escape(renderTemplate(after, prefix, ""))}$`,
+  );
+}
+
+/**
+ * Recovers the source ref an artifact branch was published from. Tag
+ * templates are tried first so `dist/tags/v1` maps to tag `v1`, not to a
+ * branch named `tags/v1`.
+ *
+ * @param {string} artifactRef
+ * @param {string} artifactPrefix
+ * @param {{ branch?: string, tag?: string }} [templates]
+ * @returns {{ refType: "branch" | "tag", sourceRef: string } | null}
+ */
+function parseArtifactRef(artifactRef, artifactPrefix, templates = {}) {
+  const prefix = normalizeArtifactPrefix(artifactPrefix);
+  const parsed = parseArtifactTemplates(templates);
+  for (const refType of ["tag", "branch"]) {
+    const match = artifactRef.match(templateToRegExp(parsed[refType], prefix));
+    if (match) {
+      return { refType, sourceRef: match[1] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Decides which source ref the action runs for, its artifact branch, and
+ * whether the run should be skipped. Branch include/exclude globs only gate
+ * `publish` and `plan`, so artifacts of excluded branches can still be
+ * deleted.
+ *
+ * @param {{
+ *   action?: string,
+ *   sourceRefInput?: string,
+ *   artifactPrefixInput?: string,
+ *   eventRefType?: string,
+ *   githubRef?: string,
+ *   githubRefName?: string,
+ *   branchInclude?: string[],
+ *   branchExclude?: string[],
+ *   templates?: { branch?: string, tag?: string },
+ * }} options
+ */
+function resolveRefs({
+  action = "publish",
+  sourceRefInput = "",
+  artifactPrefixInput = "",
+  eventRefType = "",
+  githubRef = "",
+  githubRefName = "",
+  branchInclude = [],
+  branchExclude = [],
+  templates = {},
+}) {
+  const input = String(sourceRefInput || "").trim();
+  let isTagRef = input.startsWith("refs/tags/");
+  const sourceRef =
+    input.replace(/^refs\/heads\//, "").replace(/^refs\/tags\//, "") ||
+    githubRefName;
+  const artifactPrefix = normalizeArtifactPrefix(artifactPrefixInput);
+
+  if (
+    eventRefType === "tag" ||
+    (githubRef.startsWith("refs/tags/") && sourceRef === githubRefName)
+  ) {
+    isTagRef = true;
+  }
+  const sourceRefType = isTagRef ? "tag" : "branch";
+  const isArtifactRef = !isTagRef && sourceRef.startsWith(artifactPrefix);
+
+  let skipReason = "";
+  if (action === "prune") {
+    // Prune works on every artifact branch, not on the triggering ref.
+  } else if (isArtifactRef) {
+    skipReason = "artifact refs are ignored";
+  } else if (
+    !isTagRef &&
+    (action === "publish" || action === "plan") &&
+    branchInclude.length &&
+    !branchInclude.some((pattern) => matchesBranchPattern(sourceRef, pattern))
+  ) {
+    skipReason = `branch '${sourceRef}' does not match branchInclude`;
+  } else if (
+    !isTagRef &&
+    (action === "publish" || action === "plan") &&
+    branchExclude.some((pattern) => matchesBranchPattern(sourceRef, pattern))
+  ) {
+    skipReason = `branch '${sourceRef}' matches branchExclude`;
+  }
+
+  return {
+    sourceRef,
+    sourceRefType,
+    artifactPrefix,
+    artifactRef:
+      sourceRef && action !== "prune"
+        ? deriveArtifactRef(sourceRef, artifactPrefix, sourceRefType, templates)
+        : "",
+    isTagRef,
+    isArtifactRef,
+    shouldSkip: Boolean(skipReason),
+    skipReason,
+  };
+}
+
+function resolveRefsFromEnv(env = process.env) {
+  const resolved = resolveRefs({
+    action: env.ACTION_INPUT,
+    sourceRefInput: env.SOURCE_REF_INPUT,
+    artifactPrefixInput: env.ARTIFACT_PREFIX_INPUT,
+    eventRefType: env.EVENT_REF_TYPE,
+    githubRef: env.GITHUB_REF,
+    githubRefName: env.GITHUB_REF_NAME,
+    branchInclude: parsePatternList(env.BRANCH_INCLUDE),
+    branchExclude: parsePatternList(env.BRANCH_EXCLUDE),
+    templates: {
+      branch: env.ARTIFACT_BRANCH_TEMPLATE,
+      tag: env.ARTIFACT_TAG_TEMPLATE,
+    },
+  });
+
+  console.log(
+    `Source ${resolved.sourceRefType}: ${resolved.sourceRef || "(none)"}`,
+  );
+  if (resolved.artifactRef) {
+    console.log(`Artifact branch: ${resolved.artifactRef}`);
+  }
+  writeActionOutputs({
+    source_ref: resolved.sourceRef,
+    source_ref_type: resolved.sourceRefType,
+    artifact_prefix: resolved.artifactPrefix,
+    artifact_ref: resolved.artifactRef,
+    is_tag_ref: resolved.isTagRef,
+    is_artifact_ref: resolved.isArtifactRef,
+    should_skip: resolved.shouldSkip,
+    skip_reason: resolved.skipReason,
+  });
+  if (env.GITHUB_ENV) {
+    fs.appendFileSync(
+      env.GITHUB_ENV,
+      formatOutput("SOURCE_REF", resolved.sourceRef) +
+        formatOutput("SOURCE_REF_TYPE", resolved.sourceRefType) +
+        formatOutput("ARTIFACT_PREFIX", resolved.artifactPrefix),
+    );
+  }
+  return resolved;
+}
+
+module.exports = {
+  DEFAULT_ARTIFACT_TEMPLATES,
+  FILE_GLOB_OPTIONS,
+  SOURCE_REF_TYPES,
+  TAG_ARTIFACT_SEGMENT,
+  deriveArtifactRef,
+  matchesBranchPattern,
+  matchesFileGlob,
+  normalizeArtifactPrefix,
+  normalizeBranchName,
+  normalizeTagName,
+  parseArtifactRef,
+  parseArtifactTemplates,
+  parsePatternList,
+  parseSourceRefType,
+  resolveRefs,
+};
+
+if (require.main === module) {
+  try {
+    resolveRefsFromEnv();
+  } catch (error) {
+    console.error("Error resolving refs:", error);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,160 @@
+const BUILD_INFO_PATH = "dist/build-info.json";
+const BUILD_OPTION_ENV = {
+  target: "BUILD_TARGET",
+  bundleSingleFile: "BUILD_BUNDLE_SINGLE_FILE",
+  treatAsEsm: "BUILD_TREAT_AS_ESM",
+  sourcemap: "BUILD_SOURCEMAP",
+};
+
+function pickDefined(values) {
+  return Object.fromEntries(
+    Object.entries(values).filter(
+      ([, value]) => value !== undefined && value !== "",
+    ),
+  );
+}
+
+/**
+ * Collects provenance for an artifact build from the workflow environment.
+ *
+ * @param {{
+ *   sourceRef: string,
+ *   sourceSha: string,
+ *   env?: NodeJS.ProcessEnv,
+ *   versions?: NodeJS.ProcessVersions,
+ *   now?: () => Date,
+ * }} options
+ */
+function collectBuildInfo({
+  sourceRef,
+  sourceSha,
+  env = process.env,
+  versions = process.versions,
+  now = () => new Date(),
+}) {
+  const serverUrl = env.GITHUB_SERVER_URL || "https://github.com";
+  const runUrl =
+    env.GITHUB_REPOSITORY && env.GITHUB_RUN_ID
+      ? `${serverUrl}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}${
+          env.GITHUB_RUN_ATTEMPT ? `/attempts/${env.GITHUB_RUN_ATTEMPT}` : ""
+        }`
+      : undefined;
+
+  return {
+    repository: env.GITHUB_REPOSITORY,
+    sourceRef,
+    sourceSha,
+    builtAt: now().toISOString(),
+    workflow: pickDefined({
+      name: env.GITHUB_WORKFLOW,
+      event: env.GITHUB_EVENT_NAME,
+      actor: env.GITHUB_ACTOR,
+      runId: env.GITHUB_RUN_ID,
+      runAttempt: env.GITHUB_RUN_ATTEMPT,
+      runUrl,
+    }),
+    inputs: pickDefined(
+      Object.fromEntries(
+        Object.entries(BUILD_OPTION_ENV).map(([input, name]) => [
+          input,
+          env[name],
+        ]),
+      ),
+    ),
+    tools: pickDefined({
+      node: env.BUILD_NODE_VERSION || versions.node,
+      bun: versions.bun,
+      bundler: env.BUILD_TOOL_VERSION,
+      manifestTool: env.MANIFEST_TOOL_VERSION,
+    }),
+  };
+}
+
+/**
+ * Renders provenance as git trailers for the artifact commit message.
+ *
+ * @param {ReturnType<typeof collectBuildInfo>} buildInfo
+ * @returns {string[]}
+ */
+function formatProvenanceTrailers(buildInfo) {
+  const trailers = [
+    `Source-Ref: ${buildInfo.sourceRef}`,
+    `Source-Sha: ${buildInfo.sourceSha}`,
+  ];
+  if (buildInfo.workflow.runUrl) {
+    trailers.push(`Workflow-Run: ${buildInfo.workflow.runUrl}`);
+  }
+  const options = Object.entries(buildInfo.inputs);
+  if (options.length) {
+    trailers.push(
+      `Build-Options: ${options.map(([key, value]) => `${key}=${value}`).join(", ")}`,
+    );
+  }
+  const tools = Object.entries(buildInfo.tools);
+  if (tools.length) {
+    trailers.push(
+      `Build-Tools: ${tools.map(([key, value]) => `${key}=${value}`).join(", ")}`,
+    );
+  }
+  return trailers;
+}
+
+/**
+ * Appends git trailers to a commit message, separated by a blank line.
+ *
+ * @param {string} message
+ * @param {string[]} trailers
+ * @returns {string}
+ */
+function appendTrailers(message, trailers) {
+  if (!trailers.length) {
+    return message;
+  }
+  return `${message.trimEnd()}\n\n${trailers.join("\n")}\n`;
+}
+
+/**
+ * Parses `Key: value` trailers from the last paragraph of a commit message.
+ *
+ * @param {string} message
+ * @returns {Record<string, string>}
+ */
+function parseTrailers(message) {
+  const paragraphs = String(message || "")
+    .trim()
+    .split(/\n\s*\n/);
+  const trailers = {};
+  if (paragraphs.length < 2) {
+    return trailers;
+  }
+  for (const line of paragraphs[paragraphs.length - 1].split("\n")) {
+    const match = line.match(/^([A-Za-z][A-Za-z0-9-]*):\s*(.*)$/);
+    if (match) {
+      trailers[match[1]] = match[2];
+    }
+  }
+  return trailers;
+}
+
+/**
+ * Creates the tree entry for `dist/build-info.json`.
+ *
+ * @param {ReturnType<typeof collectBuildInfo>} buildInfo
+ */
+function createBuildInfoEntry(buildInfo) {
+  return {
+    path: BUILD_INFO_PATH,
+    mode: "100644",
+    type: "blob",
+    content: `${JSON.stringify(buildInfo, null, 2)}\n`,
+  };
+}
+
+module.exports = {
+  BUILD_INFO_PATH,
+  appendTrailers,
+  collectBuildInfo,
+  createBuildInfoEntry,
+  formatProvenanceTrailers,
+  parseTrailers,
+};
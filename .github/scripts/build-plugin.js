@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const { builtinModules } = require("module");
+const path = require("path");
+const { rewriteNodeImportsInDir } = require("./node-imports");
+
+const BUILD_TARGETS = ["node", "worker"];
+const BUILD_TOOLS = {
+  esbuild: { name: "esbuild", args: ["esbuild"] },
+  ncc: { name: "ncc", args: ["@vercel/ncc", "build"] },
+};
+const PLUGIN_OUTPUT_DIR = "dist/plugin";
+const TYPES_OUTPUT_DIR = "plugin";
+
+/**
+ * Validates the `target` input.
+ *
+ * @param {string | undefined} value
+ * @returns {"node" | "worker"}
+ */
+function parseBuildTarget(value) {
+  const target = String(value || "node")
+    .trim()
+    .toLowerCase();
+  if (!BUILD_TARGETS.includes(target)) {
+    throw new Error(
+      `Invalid build target '${value}'. Must be one of: ${BUILD_TARGETS.join(", ")}.`,
+    );
+  }
+  return target;
+}
+
+/**
+ * esbuild flags that keep Node.js built-ins external and rewrite bare
+ * specifiers (`fs`, `fs/promises`) to `node:` ones, which Workers
+ * (`nodejs_compat`) and Deno only resolve with the prefix.
+ *
+ * @returns {string[]}
+ */
+function getNodeBuiltinFlags() {
+  const aliases = builtinModules
+    .filter(
+      (name) =>
+        !name.startsWith("node:") &&
+        !name.startsWith("_") &&
+        !name.includes("/"),
+    )
+    .map((name) => `--alias:${name}=node:${name}`);
+  return ["--external:node:*", ...aliases];
+}
+
+/**
+ * Plans the bundler invocations for a plugin. The `node` target keeps the
+ * historical ncc build (or esbuild with `bundleSingleFile`); the `worker`
+ * target always bundles the plugin into one platform-neutral ESM file. The
+ * settings schema is always built for Node, where the manifest tool loads it.
+ *
+ * @param {{
+ *   target?: "node" | "worker",
+ *   pluginEntry: string,
+ *   schemaPath: string,
+ *   bundleSingleFile?: boolean,
+ *   sourcemap?: boolean,
+ * }} options
+ * @returns {{ tool: keyof typeof BUILD_TOOLS, steps: Array<{ label: string, args: string[] }> }}
+ */
+function planBuild({
+  target = "node",
+  pluginEntry,
+  schemaPath,
+  bundleSingleFile = false,
+  sourcemap = false,
+}) {
+  const schemaStep = {
+    label: "plugin types (single file)",
+    args: [
+      schemaPath,
+      "--bundle",
+      "--platform=node",
+      "--format=esm",
+      "--target=node20",
+      "--minify",
+      `--outfile=${TYPES_OUTPUT_DIR}/index.js`,
+    ],
+  };
+
+  if (target === "worker") {
+    return {
+      tool: "esbuild",
+      steps: [
+        {
+          label: "plugin (worker)",
+          args: [
+            pluginEntry,
+            "--bundle",
+            "--platform=neutral",
+            "--format=esm",
+            "--target=es2022",
+            "--main-fields=module,main",
+            "--conditions=workerd,worker,browser",
+            "--minify",
+            ...(sourcemap ? ["--sourcemap"] : []),
+            "--external:./tests",
+            ...getNodeBuiltinFlags(),
+            `--outfile=${PLUGIN_OUTPUT_DIR}/index.js`,
+          ],
+        },
+        schemaStep,
+      ],
+    };
+  }
+
+  if (bundleSingleFile) {
+    return {
+      tool: "esbuild",
+      steps: [
+        {
+          label: "plugin (single file)",
+          args: [
+            pluginEntry,
+            "--bundle",
+            "--platform=node",
+            "--format=esm",
+            "--target=node20",
+            "--minify",
+            ...(sourcemap ? ["--sourcemap"] : []),
+            "--external:./tests",
+            `--outfile=${PLUGIN_OUTPUT_DIR}/index.js`,
+          ],
+        },
+        schemaStep,
+      ],
+    };
+  }
+
+  return {
+    tool: "ncc",
+    steps: [
+      {
+        label: "plugin",
+        args: [
+          pluginEntry,
+          "--external",
+          "./tests",
+          "-m",
+          ...(sourcemap ? ["-s"] : []),
+          "-o",
+          PLUGIN_OUTPUT_DIR,
+        ],
+      },
+      {
+        label: "plugin types",
+        args: [
+          schemaPath,
+          "--external",
+          "./tests",
+          "-m",
+          "-o",
+          TYPES_OUTPUT_DIR,
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Whether an ESM bundle has a default export, either as `export default` or
+ * as `default` in an `export { ... }` list (esbuild emits `x as default`).
+ *
+ * @param {string} source
+ * @returns {boolean}
+ */
+function hasDefaultExport(source) {
+  if (/(^|[;\s])export\s+default\b/.test(source)) {
+    return true;
+  }
+  return [...source.matchAll(/\bexport\s*\{([^}]*)\}/g)].some(([, list]) =>
+    list
+      .split(",")
+      .map((item) => item.trim())
+      .some((item) => item === "default" || /\sas\s+default$/.test(item)),
+  );
+}
+
+/**
+ * Copies the runtime entrypoint for the build target into `dist`. Node
+ * builds get the reassembly entrypoints (ESM or CJS, plus a CJS bridge for
+ * ESM that forwards `ready`, `status`, `plugin` and `health()`); worker
+ * builds get an ESM entry that re-exports the bundle, because Workers and
+ * Deno deploys load it without filesystem access.
+ *
+ * @param {{
+ *   projectDir: string,
+ *   target?: "node" | "worker",
+ *   treatAsEsm?: boolean,
+ *   scriptsDir?: string,
+ *   fs?: Pick<typeof fs, "existsSync" | "readFileSync" | "writeFileSync" | "copyFileSync">,
+ * }} options
+ * @returns {string[]} Files written, relative to the project directory.
+ */
+function writeEntrypoints({
+  projectDir,
+  target = "node",
+  treatAsEsm = false,
+  scriptsDir = __dirname,
+  fs: fileSystem = fs,
+}) {
+  const distDir = path.join(projectDir, "dist");
+  const pluginPackageJson = path.join(distDir, "plugin", "package.json");
+  const copy = (script, file) =>
+    fileSystem.copyFileSync(
+      path.join(scriptsDir, script),
+      path.join(distDir, file),
+    );
+
+  if (target === "worker") {
+    const packageJson = '{"type":"module"}\n';
+    fileSystem.writeFileSync(pluginPackageJson, packageJson);
+    fileSystem.writeFileSync(path.join(distDir, "package.json"), packageJson);
+    // Re-exporting a default the bundle does not have fails at link time.
+    const bundle = fileSystem.readFileSync(
+      path.join(distDir, "plugin", "index.js"),
+      "utf8",
+    );
+    fileSystem.writeFileSync(
+      path.join(distDir, "index.js"),
+      fileSystem
+        .readFileSync(path.join(scriptsDir, "reassembly-worker.js"), "utf8")
+        .concat(
+          hasDefaultExport(bundle)
+            ? 'export { default } from "./plugin/index.js";\n'
+            : "",
+        ),
+    );
+    return ["dist/plugin/package.json", "dist/package.json", "dist/index.js"];
+  }
+
+  if (treatAsEsm) {
+    if (!fileSystem.existsSync(pluginPackageJson)) {
+      fileSystem.writeFileSync(pluginPackageJson, '{"type":"module"}\n');
+    }
+    copy("reassembly-esm.js", "index.js");
+    fileSystem.writeFileSync(
+      path.join(distDir, "index.cjs"),
+      [
+        'const entry = import("./index.js");',
+        "entry.catch((error) => {",
+        '  console.error("Failed to load dist/index.js from CJS bridge:", error);',
+        "  process.exit(1);",
+        "});",
+        "let loaded;",
+        "const ready = entry.then((module) => {",
+        "  loaded = module;",
+        "  return module.ready;",
+        "});",
+        "ready.catch(() => {});",
+        "module.exports = {",
+        "  ready,",
+        "  get status() {",
+        '    return loaded ? loaded.status : "loading";',
+        "  },",
+        "  get plugin() {",
+        "    return loaded ? loaded.plugin : undefined;",
+        "  },",
+        "  health() {",
+        '    return loaded ? loaded.health() : { status: "loading", ready: false };',
+        "  },",
+        "};",
+        "",
+      ].join("\n"),
+    );
+    fileSystem.copyFileSync(
+      pluginPackageJson,
+      path.join(distDir, "package.json"),
+    );
+    return [
+      "dist/plugin/package.json",
+      "dist/index.js",
+      "dist/index.cjs",
+      "dist/package.json",
+    ];
+  }
+
+  copy("reassembly-cjs.js", "index.js");
+  copy("reassembly-cjs.js", "index.cjs");
+  return ["dist/index.js", "dist/index.cjs"];
+}
+
+function isTrue(value) {
+  return (
+    String(value || "")
+      .trim()
+      .toLowerCase() === "true"
+  );
+}
+
+function getToolVersion(tool, spawn) {
+  const result = spawn("bun", ["x", BUILD_TOOLS[tool].args[0], "--version"], {
+    encoding: "utf8",
+  });
+  const version = String(result.stdout || "").trim();
+  return version ? `${BUILD_TOOLS[tool].name}@${version}` : undefined;
+}
+
+/**
+ * Builds the plugin in `projectDir` with the action inputs from `env`
+ * (`PLUGIN_ENTRY`, `SCHEMA_PATH`, `BUILD_TARGET`, `BUILD_BUNDLE_SINGLE_FILE`,
+ * `BUILD_SOURCEMAP`, `BUILD_TREAT_AS_ESM`) and returns the exit code. ESM
+ * node builds get their built-in imports rewritten to `node:` here, once,
+ * instead of on every cold start.
+ *
+ * @param {{
+ *   projectDir?: string,
+ *   env?: NodeJS.ProcessEnv,
+ *   spawnSync?: typeof spawnSync,
+ *   fs?: Pick<typeof fs, "rmSync" | "existsSync" | "readdirSync" | "readFileSync" | "writeFileSync" | "appendFileSync">,
+ * }} [options]
+ * @returns {number}
+ */
+function runBuild(options = {}) {
+  const spawn = options.spawnSync ?? spawnSync;
+  const fileSystem = options.fs ?? fs;
+  const env = options.env ?? process.env;
+  const projectDir = path.resolve(options.projectDir ?? process.cwd());
+
+  let target;
+  try {
+    target = parseBuildTarget(env.BUILD_TARGET);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+  const plan = planBuild({
+    target,
+    pluginEntry: env.PLUGIN_ENTRY,
+    schemaPath: env.SCHEMA_PATH,
+    bundleSingleFile: isTrue(env.BUILD_BUNDLE_SINGLE_FILE),
+    sourcemap: isTrue(env.BUILD_SOURCEMAP),
+  });
+
+  const toolVersion = getToolVersion(plan.tool, spawn);
+  console.log(`Build target: ${target} (${toolVersion || plan.tool})`);
+  if (env.GITHUB_ENV && toolVersion) {
+    fileSystem.appendFileSync(
+      env.GITHUB_ENV,
+      `BUILD_TOOL_VERSION=${toolVersion}\n`,
+    );
+  }
+
+  console.log("Deleting previous dist...");
+  fileSystem.rmSync(path.join(projectDir, "dist"), {
+    recursive: true,
+    force: true,
+  });
+
+  for (const step of plan.steps) {
+    console.log(`Compiling ${step.label}...`);
+    const result = spawn(
+      "bun",
+      ["x", ...BUILD_TOOLS[plan.tool].args, ...step.args],
+      { cwd: projectDir, stdio: "inherit", env },
+    );
+    if (result.error) {
+      console.error(
+        `Failed to execute ${plan.tool}: ${result.error.message || String(result.error)}`,
+      );
+      return 1;
+    }
+    if (result.status !== 0) {
+      console.error(
+        `Compiling ${step.label} failed with ${
+          result.signal
+            ? `signal ${result.signal}`
+            : `exit code ${result.status}`
+        }`,
+      );
+      return result.status || 1;
+    }
+  }
+
+  if (target === "node" && isTrue(env.BUILD_TREAT_AS_ESM)) {
+    const pluginDir = path.join(projectDir, PLUGIN_OUTPUT_DIR);
+    const bundlePath = path.join(pluginDir, "index.js");
+    fileSystem.writeFileSync(
+      bundlePath,
+      fileSystem
+        .readFileSync(bundlePath, "utf8")
+        .replace(/__dirname/g, "import.meta.dirname"),
+    );
+    try {
+      const changed = rewriteNodeImportsInDir(pluginDir, { fs: fileSystem });
+      for (const { file, rewrites } of changed) {
+        console.log(`Rewrote ${rewrites} Node.js import(s) in ${file}`);
+      }
+    } catch (error) {
+      console.error(error.message);
+      return 1;
+    }
+  }
+
+  return 0;
+}
+
+if (require.main === module) {
+  const command = process.argv[2] || "build";
+  if (command === "entrypoints") {
+    const files = writeEntrypoints({
+      projectDir: process.cwd(),
+      target: parseBuildTarget(process.env.BUILD_TARGET),
+      treatAsEsm: isTrue(process.env.BUILD_TREAT_AS_ESM),
+    });
+    console.log(`Wrote ${files.join(", ")}`);
+  } else if (command === "build") {
+    process.exit(runBuild());
+  } else {
+    console.error(`Unknown command '${command}'. Use build or entrypoints.`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  BUILD_TARGETS,
+  getNodeBuiltinFlags,
+  hasDefaultExport,
+  parseBuildTarget,
+  planBuild,
+  runBuild,
+  writeEntrypoints,
+};
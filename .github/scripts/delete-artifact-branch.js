@@ -1,9 +1,13 @@
 const github = require("@actions/github");
+const { writeActionOutputs } = require("./action-outputs.js");
+const { createOctokit } = require("./github-request.js");
 const {
   deriveArtifactRef,
   normalizeBranchName,
   normalizeArtifactPrefix,
-} = require("./push-changes.js");
+  normalizeTagName,
+  parseSourceRefType,
+} = require("./artifact-refs.js");
 
 function getRequiredEnv(name) {
   const value = process.env[name];
@@ -42,17 +46,18 @@ async function deleteArtifactBranch() {
     throw new Error("Missing SOURCE_REF or GITHUB_REF_NAME environment variable");
   }
   const artifactPrefix = process.env.ARTIFACT_PREFIX || "dist/";
+  const refType = parseSourceRefType(process.env.SOURCE_REF_TYPE);
 
-  const octokit = github.getOctokit(githubToken);
+  const octokit = createOctokit(githubToken);
   const context = github.context;
   const owner = context.repo.owner;
   const repo = context.repo.repo;
 
-  const normalizedSourceRef = normalizeBranchName(sourceRef);
+  const normalizedSourceRef = refType === "tag" ? normalizeTagName(sourceRef) : normalizeBranchName(sourceRef);
   const normalizedPrefix = normalizeArtifactPrefix(artifactPrefix);
-  const artifactRef = deriveArtifactRef(normalizedSourceRef, normalizedPrefix);
+  const artifactRef = deriveArtifactRef(normalizedSourceRef, normalizedPrefix, refType, { branch: process.env.ARTIFACT_BRANCH_TEMPLATE, tag: process.env.ARTIFACT_TAG_TEMPLATE });
 
-  console.log(`Source branch: ${normalizedSourceRef}`);
+  console.log(`Source ${refType}: ${normalizedSourceRef}`);
   console.log(`Artifact branch: ${artifactRef}`);
 
   try {
@@ -62,15 +67,21 @@ async function deleteArtifactBranch() {
       ref: `heads/${artifactRef}`,
     });
     console.log(`Deleted artifact branch ${artifactRef}`);
+    writeActionOutputs({ artifact_ref: artifactRef, changed: true, deleted: true, skip_reason: "" });
   } catch (error) {
     if (isBranchNotFoundError(error)) {
       console.log(`::warning::Branch '${artifactRef}' could not be deleted because it was not found.`);
+      writeActionOutputs({ artifact_ref: artifactRef, changed: false, deleted: false, skip_reason: "artifact branch not found" });
       return;
     }
     throw error;
   }
 }
 
+module.exports = {
+  isBranchNotFoundError,
+};
+
 if (require.main === module) {
   deleteArtifactBranch().catch((error) => {
     console.error("Error deleting artifact branch:", error);
@@ -0,0 +1,212 @@
+const RETRYABLE_STATUS_CODES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+]);
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000,
+};
+const DEFAULT_CONCURRENCY = 4;
+
+function getHeader(error, name) {
+  const headers =
+    error && error.response && error.response.headers
+      ? error.response.headers
+      : null;
+  if (!headers) {
+    return undefined;
+  }
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+function getErrorMessage(error) {
+  const data =
+    error && error.response && error.response.data ? error.response.data : null;
+  return (
+    (data && typeof data.message === "string" ? data.message : "") ||
+    (error && typeof error.message === "string" ? error.message : "")
+  );
+}
+
+/**
+ * Tells whether a failed GitHub request is worth retrying: 429, transient 5xx,
+ * primary or secondary rate limit 403s, and network-level failures.
+ *
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error || typeof error !== "object") {
+    return false;
+  }
+
+  const status = Number(error.status);
+  if (RETRYABLE_STATUS_CODES.has(status)) {
+    return true;
+  }
+
+  if (status === 403) {
+    return (
+      getHeader(error, "retry-after") !== undefined ||
+      String(getHeader(error, "x-ratelimit-remaining")) === "0" ||
+      /rate limit/i.test(getErrorMessage(error))
+    );
+  }
+
+  return !status && RETRYABLE_ERROR_CODES.has(error.code);
+}
+
+/**
+ * Computes how long to wait before the next attempt. `retry-after` and
+ * `x-ratelimit-reset` take precedence over exponential backoff.
+ *
+ * @param {unknown} error
+ * @param {number} attempt 1-based number of the attempt that failed
+ * @param {{ baseDelayMs?: number, maxDelayMs?: number, now?: () => number }} [options]
+ * @returns {number}
+ */
+function getRetryDelayMs(error, attempt, options = {}) {
+  const baseDelayMs = options.baseDelayMs ?? DEFAULT_RETRY_OPTIONS.baseDelayMs;
+  const maxDelayMs = options.maxDelayMs ?? DEFAULT_RETRY_OPTIONS.maxDelayMs;
+  const now = options.now ?? Date.now;
+
+  const retryAfter = Number(getHeader(error, "retry-after"));
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+    return retryAfter * 1000;
+  }
+
+  if (String(getHeader(error, "x-ratelimit-remaining")) === "0") {
+    const reset = Number(getHeader(error, "x-ratelimit-reset"));
+    if (Number.isFinite(reset) && reset > 0) {
+      return Math.max(reset * 1000 - now(), 0) + 1000;
+    }
+  }
+
+  return Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs a request, retrying retryable failures with backoff. A rate limit that
+ * asks to wait longer than `maxDelayMs` fails right away instead of sleeping
+ * through it.
+ *
+ * @template T
+ * @param {string} label
+ * @param {() => Promise<T>} request
+ * @param {{
+ *   retries?: number,
+ *   baseDelayMs?: number,
+ *   maxDelayMs?: number,
+ *   now?: () => number,
+ *   sleep?: (ms: number) => Promise<void>,
+ *   log?: (message: string) => void,
+ * }} [options]
+ * @returns {Promise<T>}
+ */
+async function withRetry(label, request, options = {}) {
+  const retries = options.retries ?? DEFAULT_RETRY_OPTIONS.retries;
+  const maxDelayMs = options.maxDelayMs ?? DEFAULT_RETRY_OPTIONS.maxDelayMs;
+  const wait = options.sleep ?? sleep;
+  const log = options.log ?? console.log;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt > retries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delayMs = getRetryDelayMs(error, attempt, options);
+      if (delayMs > maxDelayMs) {
+        throw new Error(
+          `${label} is rate limited for another ${Math.ceil(delayMs / 1000)}s, longer than the ${Math.ceil(
+            maxDelayMs / 1000,
+          )}s retry limit. Run the workflow again once the rate limit resets.`,
+          { cause: error },
+        );
+      }
+      log(
+        `::warning::${label} failed (${error.status || error.code || "error"}: ${getErrorMessage(error)}); retrying in ${Math.ceil(
+          delayMs / 1000,
+        )}s (attempt ${attempt + 1}/${retries + 1}).`,
+      );
+      await wait(delayMs);
+    }
+  }
+}
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight,
+ * preserving input order in the result.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} mapper
+ * @returns {Promise<R[]>}
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Reads the blob upload concurrency from the environment.
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {number}
+ */
+function getUploadConcurrency(env = process.env) {
+  const value = Number.parseInt(env.BLOB_UPLOAD_CONCURRENCY || "", 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Creates an authenticated Octokit whose requests all go through `withRetry`.
+ *
+ * @param {string} githubToken
+ * @param {Parameters<typeof withRetry>[2]} [retryOptions]
+ */
+function createOctokit(githubToken, retryOptions = {}) {
+  const github = require("@actions/github");
+  const octokit = github.getOctokit(githubToken);
+  octokit.hook.wrap("request", (request, requestOptions) =>
+    withRetry(
+      `${requestOptions.method} ${requestOptions.url}`,
+      () => request(requestOptions),
+      retryOptions,
+    ),
+  );
+  return octokit;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_RETRY_OPTIONS,
+  createOctokit,
+  getRetryDelayMs,
+  getUploadConcurrency,
+  isRetryableError,
+  mapWithConcurrency,
+  withRetry,
+};
@@ -0,0 +1,240 @@
+const fs = require("fs");
+
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let value = Math.abs(bytes);
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  const formatted = unit === 0 ? String(value) : value.toFixed(1);
+  return `${bytes < 0 ? "-" : ""}${formatted} ${units[unit]}`;
+}
+
+function formatDelta(bytes) {
+  if (bytes === 0) {
+    return "±0 B";
+  }
+  return `${bytes > 0 ? "+" : ""}${formatBytes(bytes)}`;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function formatValue(value) {
+  return `\`${JSON.stringify(value)}\``;
+}
+
+/**
+ * Lists the top-level differences between two manifests. Lists of strings
+ * (e.g. `ubiquity:listeners`) and objects (e.g. `commands`) are compared
+ * item by item.
+ *
+ * @param {Record<string, unknown> | null} previous
+ * @param {Record<string, unknown> | null} next
+ * @returns {string[]}
+ */
+function diffManifests(previous, next) {
+  const before = previous || {};
+  const after = next || {};
+  const changes = [];
+  const keys = [
+    ...new Set([...Object.keys(before), ...Object.keys(after)]),
+  ].sort();
+
+  for (const key of keys) {
+    const oldValue = before[key];
+    const newValue = after[key];
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      continue;
+    }
+    if (oldValue === undefined) {
+      changes.push(`\`${key}\` added`);
+      continue;
+    }
+    if (newValue === undefined) {
+      changes.push(`\`${key}\` removed`);
+      continue;
+    }
+
+    if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+      const added = newValue.filter((item) => !oldValue.includes(item));
+      const removed = oldValue.filter((item) => !newValue.includes(item));
+      const parts = [];
+      if (added.length) {
+        parts.push(`added ${added.map(formatValue).join(", ")}`);
+      }
+      if (removed.length) {
+        parts.push(`removed ${removed.map(formatValue).join(", ")}`);
+      }
+      changes.push(`\`${key}\`: ${parts.join("; ") || "reordered"}`);
+      continue;
+    }
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      const names = [
+        ...new Set([...Object.keys(oldValue), ...Object.keys(newValue)]),
+      ].sort();
+      const parts = [];
+      for (const name of names) {
+        if (!(name in oldValue)) {
+          parts.push(`added \`${name}\``);
+        } else if (!(name in newValue)) {
+          parts.push(`removed \`${name}\``);
+        } else if (
+          JSON.stringify(oldValue[name]) !== JSON.stringify(newValue[name])
+        ) {
+          parts.push(`changed \`${name}\``);
+        }
+      }
+      changes.push(`\`${key}\`: ${parts.join("; ")}`);
+      continue;
+    }
+
+    changes.push(
+      `\`${key}\`: ${formatValue(oldValue)} → ${formatValue(newValue)}`,
+    );
+  }
+
+  return changes;
+}
+
+/**
+ * Renders the Markdown job summary for a publish or plan run.
+ *
+ * @param {{
+ *   plan: ReturnType<typeof import("./artifact-plan.js").buildPublishPlan> | null,
+ *   artifactRef: string,
+ *   sourceRef: string,
+ *   sourceSha: string,
+ *   result: { changed: boolean, commitSha: string | null, skipReason: string },
+ *   previousTotalSize?: number,
+ *   manifestChanges?: string[] | null,
+ *   dryRun?: boolean,
+ * }} options
+ * @returns {string}
+ */
+function formatJobSummary({
+  plan,
+  artifactRef,
+  sourceRef,
+  sourceSha,
+  result,
+  previousTotalSize = 0,
+  manifestChanges = null,
+  dryRun = false,
+}) {
+  const lines = [`### Artifact \`${artifactRef}\``, ""];
+  const source = `\`${sourceRef}\` @ \`${sourceSha.slice(0, 7)}\``;
+  if (dryRun) {
+    lines.push(
+      `Plan for ${source}: ${result.changed ? "publishing would change the artifact branch" : "no changes"}.`,
+    );
+  } else if (result.changed) {
+    lines.push(`Published \`${result.commitSha.slice(0, 7)}\` from ${source}.`);
+  } else {
+    lines.push(
+      `Nothing published from ${source}${result.skipReason ? ` (${result.skipReason})` : ""}.`,
+    );
+  }
+
+  if (!plan) {
+    return `${lines.join("\n")}\n`;
+  }
+
+  const { added, modified, removed } = plan.diff;
+  lines.push(
+    "",
+    `**${plan.files.length}** file(s), **${formatBytes(plan.totalSize)}** total (${formatDelta(plan.totalSize - previousTotalSize)}): ${added.length} added, ${modified.length} changed, ${removed.length} removed.`,
+  );
+
+  if (added.length || modified.length || removed.length) {
+    lines.push(
+      "",
+      "#### Changes",
+      "",
+      "| Change | File | Size | Delta |",
+      "| --- | --- | ---: | ---: |",
+    );
+    for (const file of added) {
+      lines.push(
+        `| added | \`${file.path}\` | ${formatBytes(file.size)} | ${formatDelta(file.size)} |`,
+      );
+    }
+    for (const file of modified) {
+      lines.push(
+        `| changed | \`${file.path}\` | ${formatBytes(file.size)} | ${formatDelta(file.size - file.previousSize)} |`,
+      );
+    }
+    for (const file of removed) {
+      lines.push(
+        `| removed | \`${file.path}\` | - | ${formatDelta(-file.previousSize)} |`,
+      );
+    }
+  }
+
+  if (plan.chunkedFiles.length) {
+    lines.push(
+      "",
+      "#### Chunked files",
+      "",
+      "| File | Size | Parts |",
+      "| --- | ---: | ---: |",
+    );
+    for (const chunked of plan.chunkedFiles) {
+      lines.push(
+        `| \`${chunked.path}\` | ${formatBytes(chunked.size)} | ${chunked.parts.length} |`,
+      );
+    }
+  }
+
+  if (manifestChanges && manifestChanges.length) {
+    lines.push("", "#### Manifest changes", "");
+    for (const change of manifestChanges) {
+      lines.push(`- ${change}`);
+    }
+  }
+
+  lines.push(
+    "",
+    "<details>",
+    `<summary>All artifact files (${plan.files.length})</summary>`,
+    "",
+    "| File | Size |",
+    "| --- | ---: |",
+  );
+  for (const file of [...plan.files].sort((a, b) =>
+    a.path.localeCompare(b.path),
+  )) {
+    lines.push(`| \`${file.path}\` | ${formatBytes(file.size)} |`);
+  }
+  lines.push("", "</details>");
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Appends Markdown to the `GITHUB_STEP_SUMMARY` file, if there is one.
+ *
+ * @param {string} markdown
+ * @param {{ env?: NodeJS.ProcessEnv, appendFileSync?: typeof fs.appendFileSync }} [options]
+ * @returns {boolean} Whether the summary was written.
+ */
+function writeJobSummary(markdown, options = {}) {
+  const env = options.env ?? process.env;
+  const appendFileSync = options.appendFileSync ?? fs.appendFileSync;
+  if (!env.GITHUB_STEP_SUMMARY) {
+    return false;
+  }
+  appendFileSync(env.GITHUB_STEP_SUMMARY, markdown);
+  return true;
+}
+
+module.exports = {
+  diffManifests,
+  formatBytes,
+  formatJobSummary,
+  writeJobSummary,
+};
@@ -0,0 +1,200 @@
+const BREAKING_CHANGE_POLICIES = ["warn", "block"];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function getRequired(schema) {
+  return new Set(
+    isPlainObject(schema) && Array.isArray(schema.required)
+      ? schema.required
+      : [],
+  );
+}
+
+function getProperties(schema) {
+  return isPlainObject(schema) && isPlainObject(schema.properties)
+    ? schema.properties
+    : {};
+}
+
+function formatTypes(schema) {
+  if (!isPlainObject(schema) || !("type" in schema)) {
+    return null;
+  }
+  return [].concat(schema.type).sort().join("|");
+}
+
+/**
+ * Compares two object schemas property by property. A property that becomes
+ * required without a default, changes type or disappears while additional
+ * properties are rejected breaks configs that were valid before.
+ */
+function compareObjectSchemas(previous, next, label, changes) {
+  const previousProperties = getProperties(previous);
+  const nextProperties = getProperties(next);
+  const previousRequired = getRequired(previous);
+  const nextRequired = getRequired(next);
+  const rejectsUnknown =
+    isPlainObject(next) && next.additionalProperties === false;
+
+  for (const [name, schema] of Object.entries(nextProperties)) {
+    const propertyLabel = `${label}.${name}`;
+    const hasDefault = isPlainObject(schema) && "default" in schema;
+    if (!(name in previousProperties)) {
+      if (nextRequired.has(name) && !hasDefault) {
+        changes.breaking.push(
+          `${propertyLabel} was added as a required property without a default`,
+        );
+      } else {
+        changes.nonBreaking.push(`${propertyLabel} was added`);
+      }
+      continue;
+    }
+
+    if (!previousRequired.has(name) && nextRequired.has(name) && !hasDefault) {
+      changes.breaking.push(
+        `${propertyLabel} is now required and has no default`,
+      );
+    }
+    const previousType = formatTypes(previousProperties[name]);
+    const nextType = formatTypes(schema);
+    if (previousType && nextType && previousType !== nextType) {
+      changes.breaking.push(
+        `${propertyLabel} changed type from ${previousType} to ${nextType}`,
+      );
+    }
+    compareObjectSchemas(
+      previousProperties[name],
+      schema,
+      propertyLabel,
+      changes,
+    );
+  }
+
+  for (const name of Object.keys(previousProperties)) {
+    if (name in nextProperties) {
+      continue;
+    }
+    const propertyLabel = `${label}.${name}`;
+    if (rejectsUnknown) {
+      changes.breaking.push(
+        `${propertyLabel} was removed and additional properties are not allowed`,
+      );
+    } else {
+      changes.nonBreaking.push(`${propertyLabel} was removed`);
+    }
+  }
+}
+
+/**
+ * Classifies the differences between the published and the new manifest.
+ * Removing listeners or commands, or tightening `configuration` and command
+ * parameters so existing configs stop validating, is breaking.
+ *
+ * @param {Record<string, any> | null} previous
+ * @param {Record<string, any>} next
+ * @returns {{ breaking: string[], nonBreaking: string[] }}
+ */
+function classifyManifestChanges(previous, next) {
+  const changes = { breaking: [], nonBreaking: [] };
+  if (!previous) {
+    return changes;
+  }
+
+  const previousListeners = previous["ubiquity:listeners"] || [];
+  const nextListeners = next["ubiquity:listeners"] || [];
+  for (const listener of previousListeners) {
+    if (!nextListeners.includes(listener)) {
+      changes.breaking.push(`listener \`${listener}\` was removed`);
+    }
+  }
+  for (const listener of nextListeners) {
+    if (!previousListeners.includes(listener)) {
+      changes.nonBreaking.push(`listener \`${listener}\` was added`);
+    }
+  }
+
+  const previousCommands = isPlainObject(previous.commands)
+    ? previous.commands
+    : {};
+  const nextCommands = isPlainObject(next.commands) ? next.commands : {};
+  for (const [name, command] of Object.entries(previousCommands)) {
+    if (!(name in nextCommands)) {
+      changes.breaking.push(`command \`/${name}\` was removed`);
+      continue;
+    }
+    compareObjectSchemas(
+      command && command.parameters,
+      nextCommands[name] && nextCommands[name].parameters,
+      `command \`/${name}\` parameter`,
+      changes,
+    );
+  }
+  for (const name of Object.keys(nextCommands)) {
+    if (!(name in previousCommands)) {
+      changes.nonBreaking.push(`command \`/${name}\` was added`);
+    }
+  }
+
+  compareObjectSchemas(
+    previous.configuration,
+    next.configuration,
+    "configuration",
+    changes,
+  );
+
+  if (previous.skipBotEvents !== next.skipBotEvents) {
+    changes.nonBreaking.push(
+      `skipBotEvents changed from ${previous.skipBotEvents} to ${next.skipBotEvents}`,
+    );
+  }
+
+  return changes;
+}
+
+/**
+ * Validates the `breakingChangePolicy` input.
+ *
+ * @param {string | undefined} value
+ * @returns {"warn" | "block"}
+ */
+function parseBreakingChangePolicy(value) {
+  const policy = String(value || "warn")
+    .trim()
+    .toLowerCase();
+  if (!BREAKING_CHANGE_POLICIES.includes(policy)) {
+    throw new Error(
+      `Invalid breaking change policy '${value}'. Must be one of: ${BREAKING_CHANGE_POLICIES.join(", ")}.`,
+    );
+  }
+  return policy;
+}
+
+/**
+ * Renders classified manifest changes as a job summary section.
+ *
+ * @param {ReturnType<typeof classifyManifestChanges>} changes
+ * @param {string} outcome
+ * @returns {string}
+ */
+function formatManifestChangeReport(changes, outcome) {
+  const lines = ["#### Breaking manifest changes", "", outcome, ""];
+  for (const change of changes.breaking) {
+    lines.push(`- ${change}`);
+  }
+  if (changes.nonBreaking.length) {
+    lines.push("", "Non-breaking:", "");
+    for (const change of changes.nonBreaking) {
+      lines.push(`- ${change}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  BREAKING_CHANGE_POLICIES,
+  classifyManifestChanges,
+  formatManifestChangeReport,
+  parseBreakingChangePolicy,
+};
@@ -0,0 +1,330 @@
+// GitHub webhook event names a plugin can listen to, as `<event>` or
+// `<event>.<action>`.
+const KNOWN_WEBHOOK_EVENTS = new Set([
+  "branch_protection_configuration",
+  "branch_protection_rule",
+  "check_run",
+  "check_suite",
+  "code_scanning_alert",
+  "commit_comment",
+  "create",
+  "custom_property",
+  "custom_property_values",
+  "delete",
+  "dependabot_alert",
+  "deploy_key",
+  "deployment",
+  "deployment_protection_rule",
+  "deployment_review",
+  "deployment_status",
+  "discussion",
+  "discussion_comment",
+  "fork",
+  "github_app_authorization",
+  "gollum",
+  "installation",
+  "installation_repositories",
+  "installation_target",
+  "issue_comment",
+  "issue_dependencies",
+  "issues",
+  "label",
+  "marketplace_purchase",
+  "member",
+  "membership",
+  "merge_group",
+  "meta",
+  "milestone",
+  "org_block",
+  "organization",
+  "package",
+  "page_build",
+  "personal_access_token_request",
+  "ping",
+  "project",
+  "project_card",
+  "project_column",
+  "projects_v2",
+  "projects_v2_item",
+  "projects_v2_status_update",
+  "public",
+  "pull_request",
+  "pull_request_review",
+  "pull_request_review_comment",
+  "pull_request_review_thread",
+  "push",
+  "registry_package",
+  "release",
+  "repository",
+  "repository_advisory",
+  "repository_dispatch",
+  "repository_import",
+  "repository_ruleset",
+  "repository_vulnerability_alert",
+  "secret_scanning_alert",
+  "secret_scanning_alert_location",
+  "secret_scanning_scan",
+  "security_advisory",
+  "security_and_analysis",
+  "sponsorship",
+  "star",
+  "status",
+  "sub_issues",
+  "team",
+  "team_add",
+  "watch",
+  "workflow_dispatch",
+  "workflow_job",
+  "workflow_run",
+]);
+const JSON_SCHEMA_TYPES = new Set([
+  "array",
+  "boolean",
+  "integer",
+  "null",
+  "number",
+  "object",
+  "string",
+]);
+const SCHEMA_MAP_KEYWORDS = [
+  "properties",
+  "patternProperties",
+  "definitions",
+  "$defs",
+];
+const SCHEMA_LIST_KEYWORDS = ["allOf", "anyOf", "oneOf", "prefixItems"];
+const SCHEMA_KEYWORDS = [
+  "additionalProperties",
+  "contains",
+  "else",
+  "if",
+  "items",
+  "not",
+  "propertyNames",
+  "then",
+];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+/**
+ * Structurally checks a JSON Schema: keyword values must have the types the
+ * specification requires, recursively through subschemas.
+ *
+ * @param {unknown} schema
+ * @param {string} pointer
+ * @returns {string[]}
+ */
+function validateJsonSchema(schema, pointer) {
+  if (typeof schema === "boolean") {
+    return [];
+  }
+  if (!isPlainObject(schema)) {
+    return [`${pointer} must be a JSON Schema object or boolean`];
+  }
+
+  const errors = [];
+  if ("type" in schema) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.length || !types.every((type) => JSON_SCHEMA_TYPES.has(type))) {
+      errors.push(
+        `${pointer}/type must be one of ${[...JSON_SCHEMA_TYPES].join(", ")} (got ${JSON.stringify(schema.type)})`,
+      );
+    }
+  }
+  if (
+    "required" in schema &&
+    !(
+      Array.isArray(schema.required) &&
+      schema.required.every((name) => typeof name === "string")
+    )
+  ) {
+    errors.push(`${pointer}/required must be an array of property names`);
+  }
+  if ("enum" in schema && !Array.isArray(schema.enum)) {
+    errors.push(`${pointer}/enum must be an array`);
+  }
+
+  for (const keyword of SCHEMA_MAP_KEYWORDS) {
+    if (!(keyword in schema)) {
+      continue;
+    }
+    if (!isPlainObject(schema[keyword])) {
+      errors.push(`${pointer}/${keyword} must be an object`);
+      continue;
+    }
+    for (const [name, subschema] of Object.entries(schema[keyword])) {
+      errors.push(
+        ...validateJsonSchema(subschema, `${pointer}/${keyword}/${name}`),
+      );
+    }
+  }
+  for (const keyword of SCHEMA_LIST_KEYWORDS) {
+    if (!(keyword in schema)) {
+      continue;
+    }
+    if (!Array.isArray(schema[keyword]) || !schema[keyword].length) {
+      errors.push(`${pointer}/${keyword} must be a non-empty array`);
+      continue;
+    }
+    schema[keyword].forEach((subschema, index) => {
+      errors.push(
+        ...validateJsonSchema(subschema, `${pointer}/${keyword}/${index}`),
+      );
+    });
+  }
+  for (const keyword of SCHEMA_KEYWORDS) {
+    if (!(keyword in schema)) {
+      continue;
+    }
+    // Draft-07 tuple form of `items`.
+    if (keyword === "items" && Array.isArray(schema.items)) {
+      schema.items.forEach((subschema, index) => {
+        errors.push(
+          ...validateJsonSchema(subschema, `${pointer}/items/${index}`),
+        );
+      });
+      continue;
+    }
+    errors.push(
+      ...validateJsonSchema(schema[keyword], `${pointer}/${keyword}`),
+    );
+  }
+  return errors;
+}
+
+function validateListeners(listeners) {
+  if (!Array.isArray(listeners)) {
+    return ["`ubiquity:listeners` must be an array of event names"];
+  }
+  const errors = [];
+  for (const listener of listeners) {
+    const match =
+      typeof listener === "string" &&
+      listener.match(/^([a-z0-9_]+)(?:\.([a-z0-9_]+))?$/);
+    if (!match || !KNOWN_WEBHOOK_EVENTS.has(match[1])) {
+      errors.push(
+        `\`ubiquity:listeners\` contains unknown event ${JSON.stringify(listener)}`,
+      );
+    }
+  }
+  return errors;
+}
+
+function validateCommands(commands) {
+  if (!isPlainObject(commands)) {
+    return ["`commands` must be an object keyed by command name"];
+  }
+  const errors = [];
+  for (const [name, command] of Object.entries(commands)) {
+    const pointer = `/commands/${name}`;
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+      errors.push(
+        `\`commands\` has invalid command name ${JSON.stringify(name)}`,
+      );
+    }
+    if (!isPlainObject(command)) {
+      errors.push(`${pointer} must be an object`);
+      continue;
+    }
+    if (!isNonEmptyString(command.description)) {
+      errors.push(`${pointer}/description must be a non-empty string`);
+    }
+    if (
+      "ubiquity:example" in command &&
+      typeof command["ubiquity:example"] !== "string"
+    ) {
+      errors.push(`${pointer}/ubiquity:example must be a string`);
+    }
+    if ("parameters" in command) {
+      errors.push(
+        ...validateJsonSchema(command.parameters, `${pointer}/parameters`),
+      );
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates a generated plugin manifest. `short_name` is checked against
+ * `${repository}@${ref}` when both are known.
+ *
+ * @param {unknown} manifest
+ * @param {{ repository?: string, ref?: string }} [context]
+ * @returns {string[]} Human-readable errors; empty when the manifest is valid.
+ */
+function validateManifest(manifest, context = {}) {
+  if (!isPlainObject(manifest)) {
+    return ["manifest must be a JSON object"];
+  }
+
+  const errors = [];
+  if (!isNonEmptyString(manifest.name)) {
+    errors.push("`name` must be a non-empty string");
+  }
+
+  const expectedShortName =
+    context.repository && context.ref
+      ? `${context.repository}@${context.ref}`
+      : null;
+  if (!isNonEmptyString(manifest.short_name)) {
+    errors.push("`short_name` must be a non-empty string");
+  } else if (expectedShortName && manifest.short_name !== expectedShortName) {
+    errors.push(
+      `\`short_name\` is ${JSON.stringify(manifest.short_name)}, expected ${JSON.stringify(expectedShortName)}`,
+    );
+  }
+
+  if (!("ubiquity:listeners" in manifest)) {
+    errors.push("`ubiquity:listeners` is missing");
+  } else {
+    errors.push(...validateListeners(manifest["ubiquity:listeners"]));
+  }
+
+  if (!("configuration" in manifest)) {
+    errors.push("`configuration` is missing");
+  } else {
+    errors.push(
+      ...validateJsonSchema(manifest.configuration, "/configuration"),
+    );
+  }
+
+  if ("commands" in manifest) {
+    errors.push(...validateCommands(manifest.commands));
+  }
+
+  if (typeof manifest.skipBotEvents !== "boolean") {
+    errors.push("`skipBotEvents` must be a boolean");
+  }
+
+  return errors;
+}
+
+/**
+ * Parses and validates `manifest.json` content.
+ *
+ * @param {string} content
+ * @param {{ repository?: string, ref?: string }} [context]
+ * @returns {string[]}
+ */
+function validateManifestContent(content, context = {}) {
+  let manifest;
+  try {
+    manifest = JSON.parse(content);
+  } catch (error) {
+    return [`manifest.json is not valid JSON: ${error.message}`];
+  }
+  return validateManifest(manifest, context);
+}
+
+module.exports = {
+  KNOWN_WEBHOOK_EVENTS,
+  validateJsonSchema,
+  validateManifest,
+  validateManifestContent,
+};
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const { builtinModules } = require("module");
+const path = require("path");
+
+const NODE_PREFIX = "node:";
+const SCRIPT_EXTENSIONS = new Set([".js", ".mjs", ".cjs"]);
+const BUILTIN_MODULES = new Set(
+  builtinModules.filter((name) => !name.startsWith(NODE_PREFIX)),
+);
+
+/**
+ * Whether a module specifier is a bare Node.js built-in (`fs`,
+ * `fs/promises`) that should be imported as `node:<name>`.
+ *
+ * @param {unknown} specifier
+ * @returns {boolean}
+ */
+function isBareBuiltin(specifier) {
+  return (
+    typeof specifier === "string" &&
+    (BUILTIN_MODULES.has(specifier) ||
+      BUILTIN_MODULES.has(specifier.split("/")[0]))
+  );
+}
+
+function parseProgram(code) {
+  const acorn = require("acorn");
+  const options = {
+    ecmaVersion: "latest",
+    allowHashBang: true,
+    allowAwaitOutsideFunction: true,
+  };
+  try {
+    return acorn.parse(code, { ...options, sourceType: "module" });
+  } catch (moduleError) {
+    // CommonJS output may rely on script-only syntax (top-level return, with).
+    try {
+      return acorn.parse(code, {
+        ...options,
+        sourceType: "script",
+        allowReturnOutsideFunction: true,
+      });
+    } catch {
+      throw moduleError;
+    }
+  }
+}
+
+/**
+ * Rewrites bare Node.js built-in specifiers to `node:` ones. Only the string
+ * literals of static imports and re-exports, `import()` and `require()` calls
+ * are touched, so matching text in strings, comments or templates is kept.
+ *
+ * @param {string} code
+ * @returns {{ code: string, rewrites: number }}
+ */
+function rewriteNodeImports(code) {
+  const walk = require("acorn-walk");
+  const literals = [];
+  const addSource = (node) => {
+    if (node && node.type === "Literal" && isBareBuiltin(node.value)) {
+      literals.push(node);
+    }
+  };
+
+  walk.simple(parseProgram(code), {
+    ImportDeclaration: (node) => addSource(node.source),
+    ExportNamedDeclaration: (node) => addSource(node.source),
+    ExportAllDeclaration: (node) => addSource(node.source),
+    ImportExpression: (node) => addSource(node.source),
+    CallExpression: (node) => {
+      if (
+        node.callee.type === "Identifier" &&
+        node.callee.name === "require" &&
+        node.arguments.length === 1
+      ) {
+        addSource(node.arguments[0]);
+      }
+    },
+  });
+
+  let rewritten = code;
+  for (const literal of literals.sort((a, b) => b.start - a.start)) {
+    // Keep the original quote character; only the specifier text changes.
+    rewritten = `${rewritten.slice(0, literal.start + 1)}${NODE_PREFIX}${literal.value}${rewritten.slice(literal.end - 1)}`;
+  }
+  return { code: rewritten, rewrites: literals.length };
+}
+
+function listScriptFiles(dir, fileSystem) {
+  return fileSystem
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return listScriptFiles(fullPath, fileSystem);
+      }
+      return SCRIPT_EXTENSIONS.has(path.extname(entry.name)) ? [fullPath] : [];
+    })
+    .sort();
+}
+
+/**
+ * Applies {@link rewriteNodeImports} to every `.js`, `.mjs` and `.cjs` file
+ * below `dir`, writing back only the files that changed.
+ *
+ * @param {string} dir
+ * @param {{ fs?: Pick<typeof fs, "existsSync" | "readdirSync" | "readFileSync" | "writeFileSync"> }} [options]
+ * @returns {Array<{ file: string, rewrites: number }>} Changed files, relative to `dir`.
+ */
+function rewriteNodeImportsInDir(dir, options = {}) {
+  const fileSystem = options.fs ?? fs;
+  if (!fileSystem.existsSync(dir)) {
+    return [];
+  }
+  const changed = [];
+  for (const file of listScriptFiles(dir, fileSystem)) {
+    const relativePath = path.relative(dir, file).replaceAll("\\", "/");
+    let result;
+    try {
+      result = rewriteNodeImports(fileSystem.readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new Error(
+        `Could not parse ${relativePath} to rewrite Node.js imports: ${error.message}`,
+      );
+    }
+    if (result.rewrites) {
+      fileSystem.writeFileSync(file, result.code);
+      changed.push({ file: relativePath, rewrites: result.rewrites });
+    }
+  }
+  return changed;
+}
+
+module.exports = {
+  isBareBuiltin,
+  rewriteNodeImports,
+  rewriteNodeImportsInDir,
+};
@@ -0,0 +1,300 @@
+const fs = require("fs");
+const path = require("path");
+const { formatOutput, writeActionOutputs } = require("./action-outputs.js");
+const {
+  deriveArtifactRef,
+  matchesBranchPattern,
+  normalizeArtifactPrefix,
+  parsePatternList,
+} = require("./artifact-refs.js");
+
+const AUTO_DISCOVER = "auto";
+const PLUGINS_FILE_NAME = "plugin-packages.tsv";
+
+function toPosix(value) {
+  return value.replaceAll("\\", "/");
+}
+
+function isDirectory(target, fileSystem) {
+  return (
+    fileSystem.existsSync(target) && fileSystem.statSync(target).isDirectory()
+  );
+}
+
+/**
+ * Expands a workspace-relative directory pattern. Wildcards (`*`, `?`) match
+ * within a single path segment, as in `packages/*`; `node_modules` and
+ * dot-directories are never matched by a wildcard.
+ *
+ * @param {string} workspace
+ * @param {string} pattern
+ * @param {Pick<typeof fs, "existsSync" | "statSync" | "readdirSync">} [fileSystem]
+ * @returns {string[]} Absolute directory paths.
+ */
+function expandDirectoryPattern(workspace, pattern, fileSystem = fs) {
+  const segments = toPosix(pattern)
+    .replace(/^\.\//, "")
+    .replace(/\/+$/, "")
+    .split("/")
+    .filter((segment) => segment && segment !== ".");
+  if (segments.includes("**")) {
+    throw new Error(
+      `Plugin pattern '${pattern}' is not supported: use single-segment wildcards such as 'packages/*'.`,
+    );
+  }
+
+  let directories = [workspace];
+  for (const segment of segments) {
+    const next = [];
+    for (const directory of directories) {
+      if (!/[*?]/.test(segment)) {
+        const candidate = path.join(directory, segment);
+        if (isDirectory(candidate, fileSystem)) {
+          next.push(candidate);
+        }
+        continue;
+      }
+      for (const entry of fileSystem.readdirSync(directory).sort()) {
+        if (entry === "node_modules" || entry.startsWith(".")) {
+          continue;
+        }
+        const candidate = path.join(directory, entry);
+        if (
+          matchesBranchPattern(entry, segment) &&
+          isDirectory(candidate, fileSystem)
+        ) {
+          next.push(candidate);
+        }
+      }
+    }
+    directories = next;
+  }
+  return directories;
+}
+
+function readWorkspacePatterns(workspace, fileSystem) {
+  const packageJsonPath = path.join(workspace, "package.json");
+  if (!fileSystem.existsSync(packageJsonPath)) {
+    throw new Error(
+      "plugins is 'auto' but the workspace has no package.json to read workspaces from",
+    );
+  }
+  const { workspaces } = JSON.parse(
+    fileSystem.readFileSync(packageJsonPath, "utf8"),
+  );
+  const patterns = Array.isArray(workspaces)
+    ? workspaces
+    : workspaces && Array.isArray(workspaces.packages)
+      ? workspaces.packages
+      : [];
+  if (!patterns.length) {
+    throw new Error(
+      "plugins is 'auto' but package.json does not declare any workspaces",
+    );
+  }
+  return patterns;
+}
+
+function rebasePath(value, workspace, pluginDir) {
+  return path.resolve(
+    pluginDir,
+    path.relative(workspace, path.resolve(workspace, value)),
+  );
+}
+
+/**
+ * Resolves the plugin packages to build and publish. Without a `plugins`
+ * input the workspace itself is the only plugin and every path input is used
+ * as given. Otherwise each plugin directory gets its own artifact prefix
+ * (`<artifactPrefix><plugin>/`), and `manifestPath`, `pluginEntry` and
+ * `schemaPath` are re-rooted from the workspace to the plugin directory.
+ *
+ * @param {{
+ *   plugins?: string,
+ *   workspace: string,
+ *   artifactPrefix?: string,
+ *   manifestPath: string,
+ *   pluginEntry: string,
+ *   schemaPath: string,
+ *   fs?: Pick<typeof fs, "existsSync" | "statSync" | "readdirSync" | "readFileSync">,
+ * }} options
+ * @returns {Array<{ name: string, dir: string, artifactPrefix: string, manifestPath: string, pluginEntry: string, schemaPath: string }>}
+ */
+function resolvePluginPackages({
+  plugins = "",
+  workspace,
+  artifactPrefix,
+  manifestPath,
+  pluginEntry,
+  schemaPath,
+  fs: fileSystem = fs,
+}) {
+  const root = path.resolve(workspace);
+  const prefix = normalizeArtifactPrefix(artifactPrefix);
+  const spec = String(plugins || "").trim();
+  if (!spec) {
+    return [
+      {
+        name: "",
+        dir: root,
+        artifactPrefix: prefix,
+        manifestPath,
+        pluginEntry,
+        schemaPath,
+      },
+    ];
+  }
+
+  const autoDiscover = spec.toLowerCase() === AUTO_DISCOVER;
+  const patterns = autoDiscover
+    ? readWorkspacePatterns(root, fileSystem)
+    : parsePatternList(spec);
+  const included = [];
+  const excluded = new Set();
+  for (const pattern of patterns) {
+    if (pattern.startsWith("!")) {
+      const matches = expandDirectoryPattern(
+        root,
+        pattern.slice(1),
+        fileSystem,
+      );
+      matches.forEach((dir) => excluded.add(dir));
+      continue;
+    }
+    const matches = expandDirectoryPattern(root, pattern, fileSystem);
+    if (!matches.length && !autoDiscover) {
+      throw new Error(`Plugin path '${pattern}' did not match any directory`);
+    }
+    included.push(...matches);
+  }
+
+  const packages = [];
+  const names = new Map();
+  const directories = [...new Set(included)].filter(
+    (dir) => !excluded.has(dir),
+  );
+  for (const dir of directories) {
+    const resolved = {
+      name: path.basename(dir),
+      dir,
+      artifactPrefix: `${prefix}${path.basename(dir)}/`,
+      manifestPath: rebasePath(manifestPath, root, dir),
+      pluginEntry: rebasePath(pluginEntry, root, dir),
+      schemaPath: rebasePath(schemaPath, root, dir),
+    };
+    // Workspaces without a plugin entry (shared libraries) are not plugins.
+    if (autoDiscover && !fileSystem.existsSync(resolved.pluginEntry)) {
+      continue;
+    }
+    if (dir === root) {
+      throw new Error("Plugin directories must be below the workspace root");
+    }
+    if (names.has(resolved.name)) {
+      throw new Error(
+        `Plugin name '${resolved.name}' is used by both ${toPosix(path.relative(root, names.get(resolved.name)))} and ${toPosix(path.relative(root, dir))}`,
+      );
+    }
+    names.set(resolved.name, dir);
+    packages.push(resolved);
+  }
+
+  if (!packages.length) {
+    throw new Error(
+      autoDiscover
+        ? `No workspace package contains the plugin entry ${toPosix(path.relative(root, pluginEntry))}`
+        : "plugins did not resolve to any plugin directory",
+    );
+  }
+  return packages;
+}
+
+/**
+ * Serializes plugin packages for the composite action's bash loops, one
+ * plugin per line. The directory comes first and the (possibly empty) name
+ * last, because `read` collapses leading empty tab-separated fields.
+ *
+ * @param {ReturnType<typeof resolvePluginPackages>} packages
+ * @returns {string}
+ */
+function formatPluginTable(packages) {
+  return packages
+    .map((plugin) =>
+      [
+        plugin.dir,
+        plugin.artifactPrefix,
+        plugin.manifestPath,
+        plugin.pluginEntry,
+        plugin.schemaPath,
+        plugin.name,
+      ].join("\t"),
+    )
+    .join("\n")
+    .concat("\n");
+}
+
+function resolvePluginPackagesFromEnv(env = process.env) {
+  const workspace = env.GITHUB_WORKSPACE || process.cwd();
+  const packages = resolvePluginPackages({
+    plugins: env.PLUGINS,
+    workspace,
+    artifactPrefix: env.ARTIFACT_PREFIX,
+    manifestPath: env.MANIFEST_PATH || path.join(workspace, "manifest.json"),
+    pluginEntry: env.PLUGIN_ENTRY || path.join(workspace, "src/index.ts"),
+    schemaPath:
+      env.SCHEMA_PATH || path.join(workspace, "src/types/plugin-input.ts"),
+  });
+  const templates = {
+    branch: env.ARTIFACT_BRANCH_TEMPLATE,
+    tag: env.ARTIFACT_TAG_TEMPLATE,
+  };
+  const summary = packages.map((plugin) => ({
+    name: plugin.name,
+    path: toPosix(path.relative(workspace, plugin.dir)) || ".",
+    artifactRef:
+      env.SOURCE_REF && env.ACTION_INPUT !== "prune"
+        ? deriveArtifactRef(
+            env.SOURCE_REF,
+            plugin.artifactPrefix,
+            env.SOURCE_REF_TYPE,
+            templates,
+          )
+        : "",
+  }));
+
+  for (const plugin of summary) {
+    if (plugin.name) {
+      console.log(
+        `Plugin ${plugin.name} (${plugin.path})${plugin.artifactRef ? ` -> ${plugin.artifactRef}` : ""}`,
+      );
+    }
+  }
+
+  const tablePath = path.join(
+    env.RUNNER_TEMP || process.cwd(),
+    PLUGINS_FILE_NAME,
+  );
+  fs.writeFileSync(tablePath, formatPluginTable(packages));
+  writeActionOutputs({
+    plugins: JSON.stringify(summary),
+    plugin_count: packages.length,
+  });
+  if (env.GITHUB_ENV) {
+    fs.appendFileSync(env.GITHUB_ENV, formatOutput("PLUGINS_FILE", tablePath));
+  }
+  return packages;
+}
+
+module.exports = {
+  expandDirectoryPattern,
+  formatPluginTable,
+  resolvePluginPackages,
+};
+
+if (require.main === module) {
+  try {
+    resolvePluginPackagesFromEnv();
+  } catch (error) {
+    console.error("Error resolving plugin packages:", error);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,326 @@
+const github = require("@actions/github");
+const { isBranchNotFoundError } = require("./delete-artifact-branch.js");
+const { createOctokit } = require("./github-request.js");
+const {
+  matchesBranchPattern,
+  normalizeArtifactPrefix,
+  parseArtifactRef,
+  parsePatternList,
+} = require("./artifact-refs.js");
+const { isTruthy } = require("./push-changes.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getRequiredEnv(name) {
+  const value = process.env[name];
+  if (!value || !String(value).trim()) {
+    throw new Error(`Missing required environment variable: ${name}`);
+  }
+  return value;
+}
+
+function parseMaxAgeDays(value) {
+  if (value === undefined || value === null || !String(value).trim()) {
+    return null;
+  }
+  const days = Number(value);
+  if (!Number.isFinite(days) || days <= 0) {
+    throw new Error(`Invalid prune age cutoff: ${value}`);
+  }
+  return days;
+}
+
+/**
+ * Decides which artifact branches should be pruned. Branch names are mapped
+ * back to their source ref through the artifact naming templates. Versioned
+ * artifacts (`<prefix>tags/<tag>` by default) are only pruned once their tag
+ * is deleted and are exempt from the age cutoff.
+ *
+ * @param {{
+ *   artifactBranches: Array<{ name: string, committedAt?: string | null }>,
+ *   sourceBranches: Set<string>,
+ *   sourceTags?: Set<string>,
+ *   artifactPrefix: string,
+ *   protectedPatterns?: string[],
+ *   maxAgeDays?: number | null,
+ *   templates?: { branch?: string, tag?: string },
+ *   now?: number,
+ * }} options
+ * @returns {Array<{ artifactRef: string, sourceRef: string, reasons: string[] }>}
+ */
+function selectPrunableBranches({
+  artifactBranches,
+  sourceBranches,
+  sourceTags = new Set(),
+  artifactPrefix,
+  protectedPatterns = [],
+  maxAgeDays = null,
+  templates = {},
+  now = Date.now(),
+}) {
+  const prefix = normalizeArtifactPrefix(artifactPrefix);
+  const prunable = [];
+
+  for (const branch of artifactBranches) {
+    if (!branch.name.startsWith(prefix)) {
+      continue;
+    }
+    if (
+      protectedPatterns.some((pattern) =>
+        matchesBranchPattern(branch.name, pattern),
+      )
+    ) {
+      continue;
+    }
+
+    const source = parseArtifactRef(branch.name, prefix, templates);
+    if (!source) {
+      continue;
+    }
+    const { sourceRef } = source;
+    const reasons = [];
+    if (source.refType === "tag") {
+      if (!sourceTags.has(sourceRef)) {
+        prunable.push({
+          artifactRef: branch.name,
+          sourceRef,
+          reasons: [`source tag '${sourceRef}' no longer exists`],
+        });
+      }
+      continue;
+    }
+    if (!sourceBranches.has(sourceRef)) {
+      reasons.push(`source branch '${sourceRef}' no longer exists`);
+    }
+    if (maxAgeDays && branch.committedAt) {
+      const ageDays = (now - Date.parse(branch.committedAt)) / DAY_MS;
+      if (ageDays > maxAgeDays) {
+        reasons.push(
+          `last published ${Math.floor(ageDays)} day(s) ago (cutoff ${maxAgeDays})`,
+        );
+      }
+    }
+
+    if (reasons.length) {
+      prunable.push({ artifactRef: branch.name, sourceRef, reasons });
+    }
+  }
+
+  return prunable;
+}
+
+/**
+ * Selects the artifact branches of monorepo plugins that no longer exist.
+ * Branches under `<prefix><plugin>/` of current plugins are left to the
+ * per-plugin prune. A branch counts as a removed plugin's artifact only when
+ * the rest of its name is an artifact ref under `<prefix><plugin>/` and the
+ * whole name is not the live artifact of a source ref under `<prefix>`
+ * (e.g. `dist/feat/x` from single-plugin publishes of `feat/x`).
+ *
+ * @param {{
+ *   artifactBranches: Array<{ name: string }>,
+ *   sourceBranches: Set<string>,
+ *   sourceTags?: Set<string>,
+ *   artifactPrefix: string,
+ *   pluginNames: string[],
+ *   protectedPatterns?: string[],
+ *   templates?: { branch?: string, tag?: string },
+ * }} options
+ * @returns {Array<{ artifactRef: string, sourceRef: string, reasons: string[] }>}
+ */
+function selectRemovedPluginBranches({
+  artifactBranches,
+  sourceBranches,
+  sourceTags = new Set(),
+  artifactPrefix,
+  pluginNames,
+  protectedPatterns = [],
+  templates = {},
+}) {
+  const prefix = normalizeArtifactPrefix(artifactPrefix);
+  const plugins = new Set(pluginNames);
+  const prunable = [];
+
+  for (const branch of artifactBranches) {
+    if (!branch.name.startsWith(prefix)) {
+      continue;
+    }
+    const plugin = branch.name.slice(prefix.length).split("/")[0];
+    if (
+      plugins.has(plugin) ||
+      protectedPatterns.some((pattern) =>
+        matchesBranchPattern(branch.name, pattern),
+      )
+    ) {
+      continue;
+    }
+
+    const source = parseArtifactRef(
+      branch.name,
+      `${prefix}${plugin}/`,
+      templates,
+    );
+    if (!source) {
+      continue;
+    }
+    const shared = parseArtifactRef(branch.name, prefix, templates);
+    if (
+      shared &&
+      (shared.refType === "tag" ? sourceTags : sourceBranches).has(
+        shared.sourceRef,
+      )
+    ) {
+      continue;
+    }
+    prunable.push({
+      artifactRef: branch.name,
+      sourceRef: source.sourceRef,
+      reasons: [`plugin '${plugin}' no longer exists`],
+    });
+  }
+
+  return prunable;
+}
+
+async function listArtifactBranches(octokit, owner, repo, artifactPrefix) {
+  const refs = await octokit.paginate(octokit.rest.git.listMatchingRefs, {
+    owner,
+    repo,
+    ref: `heads/${artifactPrefix}`,
+    per_page: 100,
+  });
+  return refs.map((ref) => ({
+    name: ref.ref.replace(/^refs\/heads\//, ""),
+    sha: ref.object.sha,
+  }));
+}
+
+async function listSourceBranches(octokit, owner, repo) {
+  const branches = await octokit.paginate(octokit.rest.repos.listBranches, {
+    owner,
+    repo,
+    per_page: 100,
+  });
+  return new Set(branches.map((branch) => branch.name));
+}
+
+async function listSourceTags(octokit, owner, repo) {
+  const tags = await octokit.paginate(octokit.rest.repos.listTags, {
+    owner,
+    repo,
+    per_page: 100,
+  });
+  return new Set(tags.map((tag) => tag.name));
+}
+
+async function pruneArtifactBranches() {
+  const githubToken = getRequiredEnv("GITHUB_TOKEN");
+  const artifactPrefix = normalizeArtifactPrefix(
+    process.env.ARTIFACT_PREFIX || "dist/",
+  );
+  const protectedPatterns = parsePatternList(process.env.PRUNE_PROTECTED);
+  const maxAgeDays = parseMaxAgeDays(process.env.PRUNE_MAX_AGE_DAYS);
+  // Set for the shared prefix of a monorepo, to prune removed plugins.
+  const pluginNames = process.env.PRUNE_PLUGIN_NAMES
+    ? parsePatternList(process.env.PRUNE_PLUGIN_NAMES)
+    : null;
+  const dryRun = isTruthy(process.env.DRY_RUN);
+
+  const octokit = createOctokit(githubToken);
+  const context = github.context;
+  const owner = context.repo.owner;
+  const repo = context.repo.repo;
+
+  const artifactBranches = await listArtifactBranches(
+    octokit,
+    owner,
+    repo,
+    artifactPrefix,
+  );
+  const sourceBranches = await listSourceBranches(octokit, owner, repo);
+  const sourceTags = await listSourceTags(octokit, owner, repo);
+  console.log(
+    `Found ${artifactBranches.length} artifact branch(es) under '${artifactPrefix}'.`,
+  );
+
+  if (maxAgeDays && !pluginNames) {
+    for (const branch of artifactBranches) {
+      const commit = await octokit.rest.git.getCommit({
+        owner,
+        repo,
+        commit_sha: branch.sha,
+      });
+      branch.committedAt = commit.data.committer.date;
+    }
+  }
+
+  const templates = {
+    branch: process.env.ARTIFACT_BRANCH_TEMPLATE,
+    tag: process.env.ARTIFACT_TAG_TEMPLATE,
+  };
+  const prunable = pluginNames
+    ? selectRemovedPluginBranches({
+        artifactBranches,
+        sourceBranches,
+        sourceTags,
+        artifactPrefix,
+        pluginNames,
+        protectedPatterns,
+        templates,
+      })
+    : selectPrunableBranches({
+        artifactBranches,
+        sourceBranches,
+        sourceTags,
+        artifactPrefix,
+        protectedPatterns,
+        maxAgeDays,
+        templates,
+      });
+
+  if (!prunable.length) {
+    console.log("No artifact branches to prune.");
+    return;
+  }
+
+  for (const branch of prunable) {
+    const reason = branch.reasons.join("; ");
+    if (dryRun) {
+      console.log(`Would delete ${branch.artifactRef} (${reason})`);
+      continue;
+    }
+    try {
+      await octokit.rest.git.deleteRef({
+        owner,
+        repo,
+        ref: `heads/${branch.artifactRef}`,
+      });
+      console.log(`Deleted ${branch.artifactRef} (${reason})`);
+    } catch (error) {
+      if (isBranchNotFoundError(error)) {
+        console.log(
+          `::warning::Branch '${branch.artifactRef}' could not be deleted because it was not found.`,
+        );
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  console.log(
+    `${dryRun ? "Dry run: would prune" : "Pruned"} ${prunable.length} artifact branch(es).`,
+  );
+}
+
+module.exports = {
+  parseMaxAgeDays,
+  selectPrunableBranches,
+  selectRemovedPluginBranches,
+};
+
+if (require.main === module) {
+  pruneArtifactBranches().catch((error) => {
+    console.error("Error pruning artifact branches:", error);
+    process.exit(1);
+  });
+}
@@ -1,7 +1,71 @@
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const { writeActionOutputs } = require("./action-outputs.js");
+const {
+  FILE_GLOB_OPTIONS,
+  TAG_ARTIFACT_SEGMENT,
+  deriveArtifactRef,
+  matchesBranchPattern,
+  normalizeArtifactPrefix,
+  normalizeBranchName,
+  normalizeTagName,
+  parsePatternList,
+  parseSourceRefType,
+} = require("./artifact-refs.js");
+const {
+  parseHistoryPolicy,
+  resolveArtifactParents,
+} = require("./artifact-history.js");
+const {
+  buildPublishPlan,
+  computeBlobSha,
+  fetchArtifactTree,
+  formatPlanDiff,
+  hasPayloadChanges,
+  readBlobText,
+} = require("./artifact-plan.js");
+const { parseBuildTarget } = require("./build-plugin.js");
+const {
+  createCommitSignerFromEnv,
+  signCommitParams,
+} = require("./commit-signing.js");
+const {
+  BUILD_INFO_PATH,
+  appendTrailers,
+  collectBuildInfo,
+  createBuildInfoEntry,
+  formatProvenanceTrailers,
+  parseTrailers,
+} = require("./build-info.js");
+const {
+  DEFAULT_CONCURRENCY,
+  createOctokit,
+  getUploadConcurrency,
+  mapWithConcurrency,
+} = require("./github-request.js");
+const {
+  diffManifests,
+  formatJobSummary,
+  writeJobSummary,
+} = require("./job-summary.js");
+const {
+  classifyManifestChanges,
+  formatManifestChangeReport,
+  parseBreakingChangePolicy,
+} = require("./manifest-changes.js");
+const { validateManifestContent } = require("./manifest-validation.js");
+const {
+  checkSizeBudgets,
+  formatBudgetReport,
+  parseSizeBudgetAction,
+  parseSizeBudgets,
+} = require("./size-budgets.js");
 
 const MAX_FILE_SIZE = 30 * 1024 * 1024; // 30MB
+const MAX_PUBLISH_ATTEMPTS = 5;
+const CHUNK_MANIFEST_SUFFIX = ".chunks.json";
+const DEFAULT_DIST_PATTERN = "dist/**/*.{js,cjs,mjs,map,json}";
 const OPTIONAL_ROOT_ARTIFACT_FILES = [
   "package.json",
   "bun.lock",
@@ -12,35 +76,6 @@ const OPTIONAL_ROOT_ARTIFACT_FILES = [
   "npm-shrinkwrap.json",
 ];
 
-function normalizeBranchName(value) {
-  const branch = String(value || "")
-    .trim()
-    .replace(/^refs\/heads\//, "");
-  if (!branch) {
-    throw new Error("Branch name cannot be empty");
-  }
-  return branch;
-}
-
-function normalizeArtifactPrefix(value) {
-  const prefix = String(value || "dist/")
-    .trim()
-    .replace(/^refs\/heads\//, "");
-  if (!prefix) {
-    return "dist/";
-  }
-  return prefix.endsWith("/") ? prefix : `${prefix}/`;
-}
-
-function deriveArtifactRef(sourceRef, artifactPrefix) {
-  const normalizedSourceRef = normalizeBranchName(sourceRef);
-  const normalizedPrefix = normalizeArtifactPrefix(artifactPrefix);
-  if (normalizedSourceRef.startsWith(normalizedPrefix)) {
-    return normalizedSourceRef;
-  }
-  return `${normalizedPrefix}${normalizedSourceRef}`;
-}
-
 function splitContentIntoChunks(content, maxChunkSize) {
   const chunks = [];
   let position = 0;
@@ -51,6 +86,51 @@ function splitContentIntoChunks(content, maxChunkSize) {
   return chunks;
 }
 
+function sha256(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+// The parts are plain data; the chunk manifest records the file's mode so
+// that reassembly can restore an executable bit.
+function buildChunkEntries(
+  relativePath,
+  content,
+  maxChunkSize,
+  mode = "100644",
+) {
+  const chunks = splitContentIntoChunks(content, maxChunkSize);
+  const partEntries = chunks.map((chunk, i) => ({
+    path: `${relativePath}.part${i + 1}`,
+    mode: "100644",
+    type: "blob",
+    content: chunk.toString("base64"),
+    encoding: "base64",
+    chunkOf: relativePath,
+  }));
+  const chunkManifest = {
+    version: 1,
+    file: path.posix.basename(relativePath),
+    mode,
+    size: content.length,
+    sha256: sha256(content),
+    parts: chunks.map((chunk, i) => ({
+      file: path.posix.basename(partEntries[i].path),
+      size: chunk.length,
+      sha256: sha256(chunk),
+    })),
+  };
+
+  return [
+    ...partEntries,
+    {
+      path: `${relativePath}${CHUNK_MANIFEST_SUFFIX}`,
+      mode: "100644",
+      type: "blob",
+      content: `${JSON.stringify(chunkManifest, null, 2)}\n`,
+    },
+  ];
+}
+
 function getRequiredEnv(name) {
   const value = process.env[name];
   if (!value || !String(value).trim()) {
@@ -80,7 +160,49 @@ async function getRefSha(octokit, owner, repo, ref) {
   }
 }
 
-async function resolveSourceSha(octokit, owner, repo, sourceRef, fallbackSha) {
+async function resolveTagCommitSha(octokit, owner, repo, ref) {
+  let object;
+  try {
+    const result = await octokit.rest.git.getRef({ owner, repo, ref });
+    object = result.data.object;
+  } catch (error) {
+    if (error && Number(error.status) === 404) {
+      return null;
+    }
+    throw error;
+  }
+  // Annotated tags point at a tag object; peel until we reach the commit.
+  while (object.type === "tag") {
+    const tag = await octokit.rest.git.getTag({
+      owner,
+      repo,
+      tag_sha: object.sha,
+    });
+    object = tag.data.object;
+  }
+  return object.sha;
+}
+
+async function resolveSourceSha(
+  octokit,
+  owner,
+  repo,
+  sourceRef,
+  fallbackSha,
+  refType = "branch",
+) {
+  if (refType === "tag") {
+    const ref = `tags/${normalizeTagName(sourceRef)}`;
+    const sourceSha = await resolveTagCommitSha(octokit, owner, repo, ref);
+    if (sourceSha) {
+      return sourceSha;
+    }
+    if (fallbackSha) {
+      return fallbackSha;
+    }
+    throw new Error(`Could not resolve source tag SHA for ${ref}`);
+  }
+
   const ref = `heads/${normalizeBranchName(sourceRef)}`;
   const sourceSha = await getRefSha(octokit, owner, repo, ref);
   if (sourceSha) {
@@ -92,8 +214,52 @@ async function resolveSourceSha(octokit, owner, repo, sourceRef, fallbackSha) {
   throw new Error(`Could not resolve source branch SHA for ${ref}`);
 }
 
-function collectTreeEntries({ githubWorkspace, manifestPathInput }) {
+function isUtf8Text(content) {
+  return (
+    !content.includes(0) &&
+    Buffer.from(content.toString("utf8"), "utf8").equals(content)
+  );
+}
+
+function readFileEntries(fullPath, relativePath) {
+  const content = fs.readFileSync(fullPath);
+  const mode = fs.statSync(fullPath).mode & 0o111 ? "100755" : "100644";
+  if (content.length > MAX_FILE_SIZE) {
+    return buildChunkEntries(relativePath, content, MAX_FILE_SIZE, mode);
+  }
+
+  const entry = { path: relativePath, mode, type: "blob" };
+  if (isUtf8Text(content)) {
+    return [{ ...entry, content: content.toString("utf8") }];
+  }
+  return [
+    { ...entry, content: content.toString("base64"), encoding: "base64" },
+  ];
+}
+
+function collectTreeEntries({
+  githubWorkspace,
+  manifestPathInput,
+  include = [],
+  exclude = [],
+}) {
   const glob = require("glob");
+  const toRelativePath = (file) =>
+    path.relative(githubWorkspace, file).replaceAll("\\", "/");
+  const globFiles = (patterns) =>
+    patterns.length
+      ? glob
+          .sync(patterns, {
+            cwd: githubWorkspace,
+            absolute: true,
+            nodir: true,
+            ...FILE_GLOB_OPTIONS,
+            ignore: ["node_modules/**", ".git/**"],
+          })
+          .map(toRelativePath)
+          .sort()
+      : [];
+
   const treeEntries = [];
   const manifestFullPath = path.resolve(githubWorkspace, manifestPathInput);
   if (!fs.existsSync(manifestFullPath)) {
@@ -107,116 +273,667 @@ function collectTreeEntries({ githubWorkspace, manifestPathInput }) {
     content: fs.readFileSync(manifestFullPath, "utf8"),
   });
 
-  const actionPath = path.resolve(githubWorkspace, "action.yml");
-  if (fs.existsSync(actionPath)) {
-    treeEntries.push({
-      path: "action.yml",
-      mode: "100644",
-      type: "blob",
-      content: fs.readFileSync(actionPath, "utf8"),
-    });
-  }
-
-  const workflowComputePath = path.resolve(
-    githubWorkspace,
-    ".github",
-    "workflows",
-    "compute.yml",
-  );
-  if (fs.existsSync(workflowComputePath)) {
-    treeEntries.push({
-      path: ".github/workflows/compute.yml",
-      mode: "100644",
-      type: "blob",
-      content: fs.readFileSync(workflowComputePath, "utf8"),
-    });
-  }
-
-  for (const optionalPath of OPTIONAL_ROOT_ARTIFACT_FILES) {
-    const fullPath = path.resolve(githubWorkspace, optionalPath);
+  const excludedPaths = new Set(globFiles(exclude));
+  const addedPaths = new Set(["manifest.json"]);
+  const addFile = (relativePath) => {
+    if (addedPaths.has(relativePath) || excludedPaths.has(relativePath)) {
+      return;
+    }
+    const fullPath = path.resolve(githubWorkspace, relativePath);
     if (!fs.existsSync(fullPath)) {
-      continue;
+      return;
     }
+    addedPaths.add(relativePath);
+    treeEntries.push(...readFileEntries(fullPath, relativePath));
+  };
 
-    if (optionalPath === "bun.lockb") {
-      treeEntries.push({
-        path: optionalPath,
-        mode: "100644",
-        type: "blob",
-        content: fs.readFileSync(fullPath).toString("base64"),
-        encoding: "base64",
-      });
+  addFile("action.yml");
+  addFile(".github/workflows/compute.yml");
+  OPTIONAL_ROOT_ARTIFACT_FILES.forEach(addFile);
+  globFiles([DEFAULT_DIST_PATTERN]).forEach(addFile);
+  globFiles(include).forEach(addFile);
+
+  return treeEntries;
+}
+
+async function createTreeFromEntries(
+  octokit,
+  owner,
+  repo,
+  treeEntries,
+  artifactTree = { treeSha: null, files: new Map() },
+  { concurrency = DEFAULT_CONCURRENCY, uploadedBlobShas = new Set() } = {},
+) {
+  const { treeSha: baseTreeSha, files: currentFiles } = artifactTree;
+  const knownBlobShas = new Set([
+    ...uploadedBlobShas,
+    ...[...currentFiles.values()].map((file) => file.sha),
+  ]);
+  const pendingUploads = new Map();
+  const nextPaths = new Set();
+  const treeItems = [];
+  let reusedCount = 0;
+
+  for (const entry of treeEntries) {
+    nextPaths.add(entry.path);
+    const localSha = computeBlobSha(entry);
+    const current = currentFiles.get(entry.path);
+    if (
+      baseTreeSha &&
+      current &&
+      current.sha === localSha &&
+      current.mode === entry.mode
+    ) {
       continue;
     }
 
-    treeEntries.push({
-      path: optionalPath,
-      mode: "100644",
-      type: "blob",
-      content: fs.readFileSync(fullPath, "utf8"),
+    if (knownBlobShas.has(localSha) || pendingUploads.has(localSha)) {
+      reusedCount++;
+    } else {
+      pendingUploads.set(localSha, entry);
+    }
+    treeItems.push({
+      path: entry.path,
+      mode: entry.mode,
+      type: entry.type,
+      sha: localSha,
     });
   }
 
-  const distFiles = glob.sync("dist/**/*.{js,cjs,map,json}", {
-    cwd: githubWorkspace,
-    absolute: true,
-    nodir: true,
-  });
-
-  for (const file of distFiles) {
-    const relativePath = path
-      .relative(githubWorkspace, file)
-      .replaceAll("\\", "/");
-    const fileStats = fs.statSync(file);
-    if (fileStats.size > MAX_FILE_SIZE) {
-      const fileContent = fs.readFileSync(file);
-      const chunks = splitContentIntoChunks(fileContent, MAX_FILE_SIZE);
-      for (let i = 0; i < chunks.length; i++) {
-        treeEntries.push({
-          path: `${relativePath}.part${i + 1}`,
-          mode: "100644",
+  if (baseTreeSha) {
+    for (const [filePath, file] of currentFiles) {
+      if (!nextPaths.has(filePath)) {
+        treeItems.push({
+          path: filePath,
+          mode: file.mode,
           type: "blob",
-          content: chunks[i].toString("base64"),
-          encoding: "base64",
+          sha: null,
         });
       }
-    } else {
-      treeEntries.push({
-        path: relativePath,
-        mode: "100644",
-        type: "blob",
-        content: fs.readFileSync(file, "utf8"),
-      });
     }
   }
 
-  return treeEntries;
+  console.log(
+    `Blobs: ${pendingUploads.size} to upload (concurrency ${concurrency}), ${reusedCount} reused, ${
+      treeEntries.length - pendingUploads.size - reusedCount
+    } unchanged`,
+  );
+
+  await mapWithConcurrency(
+    [...pendingUploads],
+    concurrency,
+    async ([localSha, entry]) => {
+      const blob = await octokit.rest.git.createBlob({
+        owner,
+        repo,
+        content: entry.content,
+        encoding: entry.encoding === "base64" ? "base64" : "utf-8",
+      });
+      if (blob.data.sha !== localSha) {
+        throw new Error(
+          `Blob SHA mismatch for ${entry.path}: expected ${localSha}, got ${blob.data.sha}`,
+        );
+      }
+      uploadedBlobShas.add(localSha);
+    },
+  );
+
+  if (baseTreeSha && !treeItems.length) {
+    return baseTreeSha;
+  }
+
+  const tree = await octokit.rest.git.createTree({
+    owner,
+    repo,
+    tree: treeItems,
+    ...(baseTreeSha ? { base_tree: baseTreeSha } : {}),
+  });
+
+  return tree.data.sha;
 }
 
-async function createTreeFromEntries(octokit, owner, repo, treeEntries) {
-  const blobs = [];
-  for (const entry of treeEntries) {
-    const blob = await octokit.rest.git.createBlob({
+function isTruthy(value) {
+  return /^(1|true|yes)$/i.test(String(value || "").trim());
+}
+
+function writePublishPlan(plan, planPath) {
+  const planDiff = formatPlanDiff(plan);
+  console.log(planDiff);
+  if (!planPath) {
+    return;
+  }
+  const diffPath = planPath.replace(/\.json$/i, "") + ".txt";
+  fs.mkdirSync(path.dirname(planPath), { recursive: true });
+  fs.writeFileSync(planPath, `${JSON.stringify(plan, null, 2)}\n`);
+  fs.writeFileSync(diffPath, planDiff);
+  console.log(`Wrote publish plan to ${planPath} and ${diffPath}`);
+}
+
+class ArtifactRefConflictError extends Error {}
+
+function isRefConflictError(error) {
+  if (error instanceof ArtifactRefConflictError) {
+    return true;
+  }
+  if (!error || typeof error !== "object" || Number(error.status) !== 422) {
+    return false;
+  }
+  const message =
+    (error.response &&
+      error.response.data &&
+      typeof error.response.data.message === "string" &&
+      error.response.data.message) ||
+    (typeof error.message === "string" ? error.message : "");
+  return /not a fast.forward|reference already exists/i.test(message);
+}
+
+async function findNewerPublishedSource(
+  octokit,
+  owner,
+  repo,
+  artifactSha,
+  sourceSha,
+) {
+  const head = await octokit.rest.git.getCommit({
+    owner,
+    repo,
+    commit_sha: artifactSha,
+  });
+  const publishedSourceSha = parseTrailers(head.data.message)["Source-Sha"];
+  if (!publishedSourceSha || publishedSourceSha === sourceSha) {
+    return null;
+  }
+
+  try {
+    const comparison = await octokit.rest.repos.compareCommitsWithBasehead({
       owner,
       repo,
-      content: entry.content,
-      encoding: entry.encoding === "base64" ? "base64" : "utf-8",
+      basehead: `${sourceSha}...${publishedSourceSha}`,
+      per_page: 1,
     });
-    blobs.push({
-      path: entry.path,
-      mode: entry.mode,
-      type: entry.type,
-      sha: blob.data.sha,
+    return comparison.data.status === "ahead" ? publishedSourceSha : null;
+  } catch (error) {
+    // The recorded source commit is gone (e.g. force-pushed away).
+    if (error && Number(error.status) === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function publishArtifactCommit({
+  octokit,
+  owner,
+  repo,
+  artifactRef,
+  sourceSha,
+  treeEntries,
+  message,
+  historyPolicy,
+  uploadedBlobShas,
+  immutable = false,
+  signer = null,
+}) {
+  const artifactHeadRef = `heads/${artifactRef}`;
+  const artifactSha = await getRefSha(octokit, owner, repo, artifactHeadRef);
+
+  if (artifactSha && immutable) {
+    const head = await octokit.rest.git.getCommit({
+      owner,
+      repo,
+      commit_sha: artifactSha,
     });
+    const publishedSourceSha = parseTrailers(head.data.message)["Source-Sha"];
+    if (publishedSourceSha === sourceSha) {
+      console.log(
+        `Versioned artifact ${artifactRef} already published from ${sourceSha}; nothing to do.`,
+      );
+      return {
+        changed: false,
+        commitSha: artifactSha,
+        treeSha: head.data.tree.sha,
+        skipReason: "versioned artifact already published",
+        previousTree: null,
+      };
+    }
+    throw new Error(
+      `Refusing to overwrite versioned artifact ${artifactRef}: it was published from ${publishedSourceSha || "an unknown source"}, not ${sourceSha}. Delete the ref or publish a new tag.`,
+    );
   }
 
-  const tree = await octokit.rest.git.createTree({
+  if (artifactSha) {
+    const newerSourceSha = await findNewerPublishedSource(
+      octokit,
+      owner,
+      repo,
+      artifactSha,
+      sourceSha,
+    );
+    if (newerSourceSha) {
+      console.log(
+        `::notice::Skipping publish: ${artifactRef} already contains a build of newer source commit ${newerSourceSha} (building ${sourceSha}).`,
+      );
+      return {
+        changed: false,
+        commitSha: artifactSha,
+        treeSha: null,
+        skipReason: "artifact branch already has a newer source build",
+        previousTree: null,
+      };
+    }
+  }
+
+  const artifactTree = await fetchArtifactTree(
+    octokit,
     owner,
     repo,
-    tree: blobs,
+    artifactSha,
+  );
+
+  if (
+    artifactSha &&
+    !hasPayloadChanges(treeEntries, artifactTree.files, [BUILD_INFO_PATH])
+  ) {
+    console.log("No generated changes to publish on artifact branch.");
+    return {
+      changed: false,
+      commitSha: artifactSha,
+      treeSha: artifactTree.treeSha,
+      skipReason: "no generated changes",
+      previousTree: artifactTree.files,
+    };
+  }
+
+  const parentCommit = await octokit.rest.git.getCommit({
+    owner,
+    repo,
+    commit_sha: artifactSha || sourceSha,
   });
 
-  return tree.data.sha;
+  const newTreeSha = await createTreeFromEntries(
+    octokit,
+    owner,
+    repo,
+    treeEntries,
+    artifactTree,
+    { concurrency: getUploadConcurrency(), uploadedBlobShas },
+  );
+
+  if (newTreeSha === parentCommit.data.tree.sha) {
+    console.log("No generated changes to publish on artifact branch.");
+    return {
+      changed: false,
+      commitSha: artifactSha,
+      treeSha: newTreeSha,
+      skipReason: "no generated changes",
+      previousTree: artifactTree.files,
+    };
+  }
+
+  const { parents, force } = immutable
+    ? { parents: [sourceSha], force: false }
+    : await resolveArtifactParents({
+        octokit,
+        owner,
+        repo,
+        artifactSha,
+        sourceSha,
+        policy: historyPolicy,
+        signer,
+      });
+
+  const newCommit = await octokit.rest.git.createCommit(
+    signCommitParams(
+      { owner, repo, message, tree: newTreeSha, parents },
+      signer,
+    ),
+  );
+  const verification = newCommit.data.verification;
+  if (signer && verification && !verification.verified) {
+    console.log(
+      `::warning::GitHub did not verify the ${signer.format} signature of ${newCommit.data.sha} (${verification.reason}). Add the public key to the GitHub account of the committer email.`,
+    );
+  }
+
+  if (artifactSha) {
+    if (
+      force &&
+      (await getRefSha(octokit, owner, repo, artifactHeadRef)) !== artifactSha
+    ) {
+      // A forced update would silently drop the concurrent publish.
+      throw new ArtifactRefConflictError(
+        `Artifact branch ${artifactRef} moved during publish`,
+      );
+    }
+    await octokit.rest.git.updateRef({
+      owner,
+      repo,
+      ref: artifactHeadRef,
+      sha: newCommit.data.sha,
+      force,
+    });
+  } else {
+    try {
+      await octokit.rest.git.createRef({
+        owner,
+        repo,
+        ref: `refs/heads/${artifactRef}`,
+        sha: newCommit.data.sha,
+      });
+    } catch (error) {
+      // When a 5xx response is retried after the ref was in fact created,
+      // the retry fails with "Reference already exists"; that is our ref.
+      if (
+        !isRefConflictError(error) ||
+        (await getRefSha(octokit, owner, repo, artifactHeadRef)) !==
+          newCommit.data.sha
+      ) {
+        throw error;
+      }
+    }
+  }
+
+  console.log(
+    `Published artifact commit ${newCommit.data.sha} to ${artifactRef}`,
+  );
+  return {
+    changed: true,
+    commitSha: newCommit.data.sha,
+    treeSha: newTreeSha,
+    skipReason: "",
+    previousTree: artifactTree.files,
+  };
+}
+
+function readManifestShortName(treeEntries) {
+  const manifest = treeEntries.find((entry) => entry.path === "manifest.json");
+  if (!manifest) {
+    return "";
+  }
+  try {
+    return JSON.parse(manifest.content).short_name || "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Builds the step outputs describing a publish (or plan) run.
+ *
+ * @param {{
+ *   artifactRef: string,
+ *   sourceRef: string,
+ *   sourceSha: string,
+ *   treeEntries: Array<{ path: string, content: string, chunkOf?: string }>,
+ *   result: { changed: boolean, commitSha: string | null, treeSha: string | null, skipReason: string },
+ * }} options
+ * @returns {Record<string, string | number | boolean>}
+ */
+function buildPublishOutputs({
+  artifactRef,
+  sourceRef,
+  sourceSha,
+  treeEntries,
+  result,
+}) {
+  return {
+    artifact_ref: artifactRef,
+    source_ref: sourceRef,
+    source_sha: sourceSha,
+    commit_sha: result.commitSha || "",
+    tree_sha: result.treeSha || "",
+    changed: result.changed,
+    file_count: treeEntries.length,
+    chunked_file_count: new Set(
+      treeEntries
+        .filter((entry) => entry.chunkOf)
+        .map((entry) => entry.chunkOf),
+    ).size,
+    short_name: readManifestShortName(treeEntries),
+    skip_reason: result.skipReason,
+  };
+}
+
+async function readPreviousManifest(octokit, owner, repo, previousTree) {
+  const manifest = previousTree.get("manifest.json");
+  if (!manifest) {
+    return null;
+  }
+  return JSON.parse(await readBlobText(octokit, owner, repo, manifest.sha));
+}
+
+async function reportPublishResult({
+  octokit,
+  owner,
+  repo,
+  artifactRef,
+  sourceRef,
+  sourceSha,
+  treeEntries,
+  result,
+  dryRun = false,
+}) {
+  writeActionOutputs(
+    buildPublishOutputs({
+      artifactRef,
+      sourceRef,
+      sourceSha,
+      treeEntries,
+      result,
+    }),
+  );
+
+  // The summary is informational; never fail a publish because of it.
+  try {
+    let plan = null;
+    let previousTotalSize = 0;
+    let manifestChanges = null;
+    if (result.previousTree) {
+      plan = buildPublishPlan({
+        sourceRef,
+        sourceSha,
+        artifactRef,
+        artifactSha: result.commitSha,
+        treeEntries,
+        currentTree: result.previousTree,
+        ignoredPaths: [BUILD_INFO_PATH],
+      });
+      previousTotalSize = [...result.previousTree.values()].reduce(
+        (total, file) => total + file.size,
+        0,
+      );
+      const manifestEntry = treeEntries.find(
+        (entry) => entry.path === "manifest.json",
+      );
+      if (manifestEntry) {
+        manifestChanges = diffManifests(
+          await readPreviousManifest(octokit, owner, repo, result.previousTree),
+          JSON.parse(manifestEntry.content),
+        );
+      }
+    }
+    writeJobSummary(
+      formatJobSummary({
+        plan,
+        artifactRef,
+        sourceRef,
+        sourceSha,
+        result,
+        previousTotalSize,
+        manifestChanges,
+        dryRun,
+      }),
+    );
+  } catch (error) {
+    console.log(
+      `::warning::Could not write the job summary: ${error && error.message ? error.message : error}`,
+    );
+  }
+}
+
+/**
+ * Refuses to publish a `manifest.json` the kernel could not load. Each problem
+ * is reported as an error annotation on the manifest.
+ *
+ * @param {Array<{ path: string, content: string }>} treeEntries
+ * @param {{ repository?: string, ref?: string }} context
+ */
+function assertValidManifest(treeEntries, context) {
+  const manifest = treeEntries.find((entry) => entry.path === "manifest.json");
+  const errors = manifest
+    ? validateManifestContent(manifest.content, context)
+    : ["manifest.json is missing from the artifact payload"];
+  if (!errors.length) {
+    console.log("manifest.json passed validation.");
+    return;
+  }
+  for (const error of errors) {
+    console.log(`::error file=manifest.json,title=Invalid manifest::${error}`);
+  }
+  throw new Error(
+    `manifest.json failed validation with ${errors.length} error(s); nothing was published.`,
+  );
+}
+
+/**
+ * Worker bundles are loaded without a filesystem, so a file that would be
+ * split into chunks could never be reassembled.
+ *
+ * @param {Array<{ path: string, chunkOf?: string }>} treeEntries
+ * @param {"node" | "worker"} target
+ */
+function assertTargetSupportsPayload(treeEntries, target) {
+  if (target !== "worker") {
+    return;
+  }
+  const chunked = [
+    ...new Set(
+      treeEntries
+        .filter((entry) => entry.chunkOf)
+        .map((entry) => entry.chunkOf),
+    ),
+  ];
+  if (chunked.length) {
+    throw new Error(
+      `Worker builds cannot be chunked, but ${chunked.join(", ")} exceed(s) ${MAX_FILE_SIZE / 1024 / 1024}MB; nothing was published.`,
+    );
+  }
+}
+
+/**
+ * Compares the new manifest with the one on the artifact branch and reports
+ * breaking changes as annotations and in the job summary. With the `block`
+ * policy they stop the publish unless explicitly allowed.
+ *
+ * @param {{
+ *   octokit: ReturnType<typeof createOctokit>,
+ *   owner: string,
+ *   repo: string,
+ *   treeEntries: Array<{ path: string, content: string }>,
+ *   currentTree: Map<string, { sha: string, size: number }>,
+ *   policy: "warn" | "block",
+ *   allowBreakingChanges: boolean,
+ * }} options
+ */
+async function checkManifestCompatibility({
+  octokit,
+  owner,
+  repo,
+  treeEntries,
+  currentTree,
+  policy,
+  allowBreakingChanges,
+}) {
+  let previous;
+  try {
+    previous = await readPreviousManifest(octokit, owner, repo, currentTree);
+  } catch (error) {
+    console.log(
+      `::warning::Could not read the published manifest.json; skipping breaking change detection: ${error && error.message ? error.message : error}`,
+    );
+    return null;
+  }
+  if (!previous) {
+    return null;
+  }
+
+  const manifest = treeEntries.find((entry) => entry.path === "manifest.json");
+  const changes = classifyManifestChanges(
+    previous,
+    JSON.parse(manifest.content),
+  );
+  if (!changes.breaking.length) {
+    console.log("No breaking manifest changes.");
+    return changes;
+  }
+
+  const blocked = policy === "block" && !allowBreakingChanges;
+  const level = blocked ? "error" : "warning";
+  for (const change of changes.breaking) {
+    console.log(
+      `::${level} file=manifest.json,title=Breaking manifest change::${change}`,
+    );
+  }
+  writeJobSummary(
+    formatManifestChangeReport(
+      changes,
+      blocked
+        ? "Publishing was blocked. Set `allowBreakingChanges: true` to publish anyway."
+        : policy === "block"
+          ? "Published because `allowBreakingChanges` is set."
+          : "Published with warnings (`breakingChangePolicy: warn`).",
+    ),
+  );
+
+  if (blocked) {
+    throw new Error(
+      `${changes.breaking.length} breaking manifest change(s); set allowBreakingChanges to publish anyway.`,
+    );
+  }
+  return changes;
+}
+
+/**
+ * Checks the payload against the configured size budgets before anything is
+ * uploaded. Violations are reported as annotations and in the job summary,
+ * then fail the run unless the budget action is `warn`.
+ *
+ * @param {{
+ *   treeEntries: Array<{ path: string, content: string, encoding?: string, chunkOf?: string }>,
+ *   currentTree: Map<string, { sha: string, size: number }>,
+ *   budgets: ReturnType<typeof parseSizeBudgets>,
+ *   action: "fail" | "warn",
+ * }} options
+ */
+function enforceSizeBudgets({ treeEntries, currentTree, budgets, action }) {
+  if (!budgets.length) {
+    return [];
+  }
+
+  const violations = checkSizeBudgets({ treeEntries, currentTree, budgets });
+  if (!violations.length) {
+    console.log(`Size budgets: ${budgets.length} budget(s) within limits.`);
+    return violations;
+  }
+
+  const level = action === "warn" ? "warning" : "error";
+  for (const violation of violations) {
+    console.log(
+      `::${level}::Size budget '${violation.pattern}' exceeded by ${violation.path}: ${violation.size} bytes${
+        violation.previousSize === undefined
+          ? ""
+          : ` (previously ${violation.previousSize} bytes)`
+      }, limit ${violation.limit} allows ${violation.allowed} bytes.`,
+    );
+  }
+  writeJobSummary(formatBudgetReport(violations));
+
+  if (action === "fail") {
+    throw new Error(
+      `${violations.length} size budget violation(s); nothing was published.`,
+    );
+  }
+  return violations;
 }
 
 async function pushChanges() {
@@ -232,18 +949,53 @@ async function pushChanges() {
     );
   }
   const artifactPrefix = process.env.ARTIFACT_PREFIX || "dist/";
+  const refType = parseSourceRefType(process.env.SOURCE_REF_TYPE);
+  const sizeBudgets = parseSizeBudgets(process.env.SIZE_BUDGETS);
+  const sizeBudgetAction = parseSizeBudgetAction(
+    process.env.SIZE_BUDGET_ACTION,
+  );
+  const breakingChangePolicy = parseBreakingChangePolicy(
+    process.env.BREAKING_CHANGE_POLICY,
+  );
+  const allowBreakingChanges = isTruthy(process.env.ALLOW_BREAKING_CHANGES);
+  const dryRun = isTruthy(process.env.DRY_RUN);
+  const buildTarget = parseBuildTarget(process.env.BUILD_TARGET);
+  const historyPolicy = parseHistoryPolicy(
+    process.env.HISTORY_MODE,
+    process.env.HISTORY_LIMIT,
+  );
 
-  const octokit = github.getOctokit(githubToken);
+  const octokit = createOctokit(githubToken);
   const context = github.context;
   const owner = context.repo.owner;
   const repo = context.repo.repo;
 
-  const normalizedSourceRef = normalizeBranchName(sourceRef);
-  const artifactRef = deriveArtifactRef(normalizedSourceRef, artifactPrefix);
+  const normalizedSourceRef =
+    refType === "tag"
+      ? normalizeTagName(sourceRef)
+      : normalizeBranchName(sourceRef);
+  const artifactRef = deriveArtifactRef(
+    normalizedSourceRef,
+    artifactPrefix,
+    refType,
+    {
+      branch: process.env.ARTIFACT_BRANCH_TEMPLATE,
+      tag: process.env.ARTIFACT_TAG_TEMPLATE,
+    },
+  );
   const artifactHeadRef = `heads/${artifactRef}`;
 
-  console.log(`Source branch: ${normalizedSourceRef}`);
+  console.log(`Source ${refType}: ${normalizedSourceRef}`);
   console.log(`Artifact branch: ${artifactRef}`);
+  if (refType === "tag") {
+    console.log("History mode: immutable (versioned artifact)");
+  } else {
+    console.log(
+      `History mode: ${historyPolicy.mode}${
+        historyPolicy.mode === "capped" ? ` (${historyPolicy.limit})` : ""
+      }`,
+    );
+  }
 
   const sourceSha = await resolveSourceSha(
     octokit,
@@ -251,19 +1003,24 @@ async function pushChanges() {
     repo,
     normalizedSourceRef,
     context.sha,
+    refType,
   );
-  const artifactSha = await getRefSha(octokit, owner, repo, artifactHeadRef);
-  const parentCommitSha = artifactSha || sourceSha;
 
-  const parentCommit = await octokit.rest.git.getCommit({
-    owner,
-    repo,
-    commit_sha: parentCommitSha,
+  const buildInfo = collectBuildInfo({
+    sourceRef: normalizedSourceRef,
+    sourceSha,
   });
-
   const treeEntries = collectTreeEntries({
     githubWorkspace,
     manifestPathInput,
+    include: parsePatternList(process.env.ARTIFACT_INCLUDE),
+    exclude: parsePatternList(process.env.ARTIFACT_EXCLUDE),
+  }).filter((entry) => entry.path !== BUILD_INFO_PATH);
+  treeEntries.push(createBuildInfoEntry(buildInfo));
+  assertTargetSupportsPayload(treeEntries, buildTarget);
+  assertValidManifest(treeEntries, {
+    repository: `${owner}/${repo}`,
+    ref: normalizedSourceRef,
   });
   const includesActionYml = treeEntries.some(
     (entry) => entry.path === "action.yml",
@@ -282,12 +1039,22 @@ async function pushChanges() {
   const distEntryCount = treeEntries.filter((entry) =>
     entry.path.startsWith("dist/"),
   ).length;
+  const extraRootEntryCount = treeEntries.filter(
+    (entry) =>
+      !entry.path.startsWith("dist/") &&
+      ![
+        "manifest.json",
+        "action.yml",
+        ".github/workflows/compute.yml",
+        ...OPTIONAL_ROOT_ARTIFACT_FILES,
+      ].includes(entry.path),
+  ).length;
   console.log(
     `Artifact payload entries: manifest.json + ${distEntryCount} dist file(s)${
       includesActionYml ? " + action.yml" : ""
     }${includesComputeWorkflow ? " + .github/workflows/compute.yml" : ""}${includesPackageJson ? " + package.json" : ""}${
       includedLockfiles.length ? ` + ${includedLockfiles.join(", ")}` : ""
-    }`,
+    }${extraRootEntryCount ? ` + ${extraRootEntryCount} included file(s)` : ""}`,
   );
   if (!includesActionYml) {
     console.log(
@@ -305,53 +1072,131 @@ async function pushChanges() {
     );
   }
 
-  const newTreeSha = await createTreeFromEntries(
+  const artifactSha = await getRefSha(octokit, owner, repo, artifactHeadRef);
+  const artifactTree = await fetchArtifactTree(
     octokit,
     owner,
     repo,
-    treeEntries,
+    artifactSha,
   );
-
-  if (newTreeSha === parentCommit.data.tree.sha) {
-    console.log("No generated changes to publish on artifact branch.");
-    return;
-  }
-
-  const newCommit = await octokit.rest.git.createCommit({
+  await checkManifestCompatibility({
+    octokit,
     owner,
     repo,
-    message: commitMessage,
-    tree: newTreeSha,
-    parents: [parentCommitSha],
+    treeEntries,
+    currentTree: artifactTree.files,
+    policy: breakingChangePolicy,
+    allowBreakingChanges,
+  });
+  enforceSizeBudgets({
+    treeEntries,
+    currentTree: artifactTree.files,
+    budgets: sizeBudgets,
+    action: sizeBudgetAction,
   });
 
-  if (artifactSha) {
-    await octokit.rest.git.updateRef({
-      owner,
-      repo,
-      ref: artifactHeadRef,
-      sha: newCommit.data.sha,
-      force: false,
+  if (dryRun) {
+    const plan = buildPublishPlan({
+      sourceRef: normalizedSourceRef,
+      sourceSha,
+      artifactRef,
+      artifactSha,
+      treeEntries,
+      currentTree: artifactTree.files,
+      ignoredPaths: [BUILD_INFO_PATH],
     });
-  } else {
-    await octokit.rest.git.createRef({
+    writePublishPlan(plan, process.env.PLAN_PATH);
+    await reportPublishResult({
+      octokit,
       owner,
       repo,
-      ref: `refs/heads/${artifactRef}`,
-      sha: newCommit.data.sha,
+      artifactRef,
+      sourceRef: normalizedSourceRef,
+      sourceSha,
+      treeEntries,
+      result: {
+        changed: plan.changed,
+        commitSha: artifactSha,
+        treeSha: artifactTree.treeSha,
+        skipReason: "dry run",
+        previousTree: artifactTree.files,
+      },
+      dryRun: true,
     });
+    console.log("Dry run: no changes were written to the artifact branch.");
+    return;
   }
 
-  console.log(
-    `Published artifact commit ${newCommit.data.sha} to ${artifactRef}`,
-  );
+  const signer = createCommitSignerFromEnv();
+  if (signer) {
+    console.log(`Signing artifact commits with a ${signer.format} key.`);
+  }
+  const uploadedBlobShas = new Set();
+  try {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await publishArtifactCommit({
+          octokit,
+          owner,
+          repo,
+          artifactRef,
+          sourceSha,
+          treeEntries,
+          message: appendTrailers(
+            commitMessage,
+            formatProvenanceTrailers(buildInfo),
+          ),
+          historyPolicy,
+          uploadedBlobShas,
+          immutable: refType === "tag",
+          signer,
+        });
+        await reportPublishResult({
+          octokit,
+          owner,
+          repo,
+          artifactRef,
+          sourceRef: normalizedSourceRef,
+          sourceSha,
+          treeEntries,
+          result,
+        });
+        return;
+      } catch (error) {
+        if (!isRefConflictError(error) || attempt >= MAX_PUBLISH_ATTEMPTS) {
+          throw error;
+        }
+        console.log(
+          `::warning::Artifact branch ${artifactRef} moved while publishing; retrying on top of the new head (attempt ${attempt + 1}/${MAX_PUBLISH_ATTEMPTS}).`,
+        );
+      }
+    }
+  } finally {
+    if (signer) {
+      signer.dispose();
+    }
+  }
 }
 
 module.exports = {
+  CHUNK_MANIFEST_SUFFIX,
+  TAG_ARTIFACT_SEGMENT,
+  assertTargetSupportsPayload,
+  buildChunkEntries,
+  buildPublishOutputs,
   collectTreeEntries,
+  createTreeFromEntries,
   deriveArtifactRef,
+  isRefConflictError,
+  isTruthy,
+  matchesBranchPattern,
   normalizeArtifactPrefix,
   normalizeBranchName,
+  normalizeTagName,
+  parsePatternList,
+  parseSourceRefType,
+  publishArtifactCommit,
+  resolveSourceSha,
 };
 
 if (require.main === module) {
@@ -1,104 +1,336 @@
+import crypto from "node:crypto";
 import fs from "node:fs";
-import { builtinModules } from "node:module";
+import { register } from "node:module";
+import os from "node:os";
 import path from "node:path";
-import { fileURLToPath } from "node:url";
+import { fileURLToPath, pathToFileURL } from "node:url";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const CHUNK_MANIFEST_SUFFIX = ".chunks.json";
+const PART_PATTERN = /^(.*)\.part(\d+)$/;
+const REASSEMBLY_MODES = ["in-place", "tmp", "memory"];
+const MEMORY_MODULE_EXTENSIONS = [".js", ".mjs"];
 
-function fixNodeImports(content) {
-  let fixed = content;
-
-  builtinModules.forEach((module) => {
-    const escapedModule = module.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-
-    const patterns = [
-      new RegExp(`require\\s*\\(\\s*["']${escapedModule}["']\\s*\\)`, "g"),
-      new RegExp(`require\\s*\\(\\s*["']${escapedModule}/`, "g"),
-      new RegExp(`from\\s+["']${escapedModule}["']`, "g"),
-      new RegExp(`from\\s+["']${escapedModule}/`, "g"),
-      new RegExp(`import\\s*\\(\\s*["']${escapedModule}["']\\s*\\)`, "g"),
-      new RegExp(`import\\s*\\(\\s*["']${escapedModule}/`, "g"),
-      new RegExp(`(\\}|\\s)from\\s*["']${escapedModule}["']`, "g"),
-      new RegExp(`(\\}|\\s)from\\s*["']${escapedModule}/`, "g"),
-    ];
-
-    patterns.forEach((pattern) => {
-      fixed = fixed.replace(pattern, (match) => {
-        return match.replace(
-          new RegExp(`["']${escapedModule}`, "g"),
-          (quoteMatch) => {
-            const quote = quoteMatch[0];
-            return `${quote}node:${module}`;
-          },
-        );
-      });
+function getReassemblyMode() {
+  const value = process.env.PLUGIN_REASSEMBLY_MODE || "in-place";
+  const mode = value.trim().toLowerCase();
+  if (!REASSEMBLY_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid PLUGIN_REASSEMBLY_MODE '${value}'. Must be one of: ${REASSEMBLY_MODES.join(", ")}.`,
+    );
+  }
+  return mode;
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function listFilesRecursive(dir, prefix = "") {
+  return fs
+    .readdirSync(path.join(dir, prefix), { withFileTypes: true })
+    .flatMap((entry) => {
+      const relativePath = path.join(prefix, entry.name);
+      return entry.isDirectory()
+        ? listFilesRecursive(dir, relativePath)
+        : [relativePath];
     });
+}
+
+function readChunkManifest(dir, base) {
+  const manifestPath = path.join(dir, base + CHUNK_MANIFEST_SUFFIX);
+  return fs.existsSync(manifestPath)
+    ? JSON.parse(fs.readFileSync(manifestPath, "utf8"))
+    : null;
+}
+
+// Git only records 100755 or 100644, so executables get 0755.
+function getChunkedFileMode(dir, base) {
+  const manifest = readChunkManifest(dir, base);
+  return manifest && manifest.mode === "100755" ? 0o755 : null;
+}
+
+function isReassembled(dir, base) {
+  const outPath = path.join(dir, base);
+  if (!fs.existsSync(outPath)) {
+    return false;
+  }
+  const manifest = readChunkManifest(dir, base);
+  if (!manifest) {
+    // Output only ever appears through an atomic rename, so it is complete.
+    return true;
+  }
+  const data = fs.readFileSync(outPath);
+  return data.length === manifest.size && sha256(data) === manifest.sha256;
+}
+
+function readVerifiedParts(dir, base, parts) {
+  const manifest = readChunkManifest(dir, base);
+  if (!manifest) {
+    console.warn(
+      `No chunk manifest found for ${base}; reassembling without verification.`,
+    );
+    return Buffer.concat(
+      parts.map((part) => fs.readFileSync(path.join(dir, part.file))),
+    );
+  }
+
+  const partDir = path.dirname(base);
+  const expectedFiles = new Set(
+    manifest.parts.map((part) => path.join(partDir, part.file)),
+  );
+  const problems = [];
+  const buffers = [];
+  manifest.parts.forEach((expected, i) => {
+    const partPath = path.join(dir, partDir, expected.file);
+    if (!fs.existsSync(partPath)) {
+      problems.push(
+        `part ${i + 1}/${manifest.parts.length} (${expected.file}) is missing`,
+      );
+      return;
+    }
+    const data = fs.readFileSync(partPath);
+    const digest = sha256(data);
+    if (data.length !== expected.size) {
+      problems.push(
+        `part ${i + 1}/${manifest.parts.length} (${expected.file}) is ${data.length} bytes, expected ${expected.size}`,
+      );
+    } else if (digest !== expected.sha256) {
+      problems.push(
+        `part ${i + 1}/${manifest.parts.length} (${expected.file}) has sha256 ${digest}, expected ${expected.sha256}`,
+      );
+    }
+    buffers.push(data);
   });
+  parts
+    .filter((part) => !expectedFiles.has(part.file))
+    .forEach((part) => {
+      problems.push(`unexpected part ${part.file} is not in the manifest`);
+    });
+
+  if (!problems.length) {
+    const joined = Buffer.concat(buffers);
+    const digest = sha256(joined);
+    if (joined.length === manifest.size && digest === manifest.sha256) {
+      return joined;
+    }
+    problems.push(
+      `reassembled file is ${joined.length} bytes with sha256 ${digest}, expected ${manifest.size} bytes with sha256 ${manifest.sha256}`,
+    );
+  }
 
-  return fixed;
+  throw new Error(
+    `Chunk verification failed for ${base}: ${problems.join("; ")}`,
+  );
 }
 
-async function reassembleParts(dir) {
-  console.log("Reassembling parts in: " + dir);
-  if (!fs.existsSync(dir)) {
-    console.log("No files to reassemble.");
-    return;
+function writeFileAtomic(filePath, data, mode = null) {
+  const tempPath = `${filePath}.${process.pid}-${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, data);
+    if (mode !== null) {
+      fs.chmodSync(tempPath, mode);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
   }
-  const files = fs.readdirSync(dir);
+}
+
+function isChunkFile(file) {
+  return PART_PATTERN.test(file) || file.endsWith(CHUNK_MANIFEST_SUFFIX);
+}
+
+function findPartGroups(files) {
   const partGroups = {};
   files.forEach((file) => {
     console.log("Checking file: " + file);
-    const match = file.match(/^(.*)\.part(\d+)$/);
+    const match = file.match(PART_PATTERN);
     if (match) {
       const base = match[1];
       if (!partGroups[base]) partGroups[base] = [];
       partGroups[base].push({ file, index: parseInt(match[2], 10) });
+    } else if (file.endsWith(CHUNK_MANIFEST_SUFFIX)) {
+      const base = file.slice(0, -CHUNK_MANIFEST_SUFFIX.length);
+      if (!partGroups[base]) partGroups[base] = [];
     }
   });
+  for (const base in partGroups) {
+    partGroups[base].sort((a, b) => a.index - b.index);
+  }
+  return partGroups;
+}
 
+function reassembleInPlace(dir, partGroups) {
   for (const base in partGroups) {
-    const parts = partGroups[base].sort((a, b) => a.index - b.index);
     const outPath = path.join(dir, base);
-    const writeStream = fs.createWriteStream(outPath);
-
-    for (const part of parts) {
-      const partPath = path.join(dir, part.file);
-      const data = fs.readFileSync(partPath);
-      writeStream.write(data);
+    if (isReassembled(dir, base)) {
+      console.log(`Already reassembled ${outPath}`);
+      continue;
     }
-    writeStream.end();
 
-    await new Promise((resolve, reject) => {
-      writeStream.on("finish", resolve);
-      writeStream.on("error", reject);
+    // Parts stay on disk so that later or concurrent runs can verify again.
+    writeFileAtomic(
+      outPath,
+      readVerifiedParts(dir, base, partGroups[base]),
+      getChunkedFileMode(dir, base),
+    );
+    console.log(`Reassembled ${outPath}`);
+  }
+  return dir;
+}
+
+// Copies the plugin without its parts into a writable directory and joins
+// them there. The directory name is derived from the deployed files, so
+// later cold starts of the same deployment reuse it.
+function reassembleToTempDir(dir, files, partGroups) {
+  const key = crypto.createHash("sha256").update(dir);
+  files.forEach((file) => {
+    const stat = fs.statSync(path.join(dir, file));
+    key.update(`\0${file}\0${stat.size}\0${stat.mtimeMs}`);
+  });
+  const root = process.env.PLUGIN_REASSEMBLY_DIR || os.tmpdir();
+  const outDir = path.join(root, `plugin-${key.digest("hex").slice(0, 16)}`);
+  if (fs.existsSync(outDir)) {
+    console.log(`Already reassembled in ${outDir}`);
+    return outDir;
+  }
+
+  const stagingDir = `${outDir}.${process.pid}-${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    fs.mkdirSync(root, { recursive: true });
+    fs.cpSync(dir, stagingDir, {
+      recursive: true,
+      filter: (source) => !isChunkFile(path.basename(source)),
     });
+    for (const base in partGroups) {
+      const outPath = path.join(stagingDir, base);
+      fs.writeFileSync(outPath, readVerifiedParts(dir, base, partGroups[base]));
+      const mode = getChunkedFileMode(dir, base);
+      if (mode !== null) {
+        fs.chmodSync(outPath, mode);
+      }
+    }
+    // The rename publishes the directory only once it is complete.
+    fs.renameSync(stagingDir, outDir);
+    console.log(`Reassembled in ${outDir}`);
+  } catch (err) {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    if (!fs.existsSync(outDir)) {
+      throw err;
+    }
+    console.log(`Already reassembled in ${outDir}`);
+  }
+  return outDir;
+}
 
-    parts.forEach((part) => fs.unlinkSync(path.join(dir, part.file)));
-    console.log(`Reassembled ${outPath}`);
+// Joins the parts into memory and serves the joined modules to import()
+// through a loader hook, so nothing is written to disk. Their URLs stay
+// inside dist/plugin, which keeps import.meta-relative asset reads working.
+function reassembleInMemory(dir, partGroups) {
+  const modules = {};
+  for (const base in partGroups) {
+    if (!MEMORY_MODULE_EXTENSIONS.includes(path.extname(base))) {
+      throw new Error(
+        `Chunked file ${base} cannot be loaded from memory; only ${MEMORY_MODULE_EXTENSIONS.join(", ")} modules can. Use PLUGIN_REASSEMBLY_MODE=tmp instead.`,
+      );
+    }
+    modules[pathToFileURL(path.join(dir, base)).href] = readVerifiedParts(
+      dir,
+      base,
+      partGroups[base],
+    ).toString("utf8");
+    console.log(`Reassembled ${path.join(dir, base)} in memory`);
   }
 
-  const generatedFiles = fs.readdirSync(dir);
-  generatedFiles.forEach((file) => {
-    console.log("[POST GENERATION] Checking file: " + file);
-    if (file.endsWith(".js") || file.endsWith(".mjs")) {
-      const filePath = path.join(dir, file);
-      console.log(`Fixing Node.js imports in ${filePath}`);
-      const content = fs.readFileSync(filePath, "utf8");
-      const fixedContent = fixNodeImports(content);
-      fs.writeFileSync(filePath, fixedContent, "utf8");
-      console.log(`Fixed Node.js imports in ${file}`);
+  const loader = `
+let modules = {};
+export function initialize(data) {
+  modules = data.modules;
+}
+export async function resolve(specifier, context, nextResolve) {
+  if (context.parentURL && /^(\\.{1,2}\\/|\\/|file:)/.test(specifier)) {
+    const url = new URL(specifier, context.parentURL).href;
+    if (Object.hasOwn(modules, url)) {
+      return { url, format: "module", shortCircuit: true };
     }
+  }
+  return nextResolve(specifier, context);
+}
+export async function load(url, context, nextLoad) {
+  if (Object.hasOwn(modules, url)) {
+    return { format: "module", source: modules[url], shortCircuit: true };
+  }
+  return nextLoad(url, context);
+}
+`;
+  register(`data:text/javascript,${encodeURIComponent(loader)}`, {
+    data: { modules },
   });
+  return dir;
+}
+
+function reassembleParts(dir) {
+  console.log("Reassembling parts in: " + dir);
+  if (!fs.existsSync(dir)) {
+    throw new Error(`No plugin to load: ${dir} does not exist.`);
+  }
+  const mode = getReassemblyMode();
+  const files = listFilesRecursive(dir);
+  const partGroups = findPartGroups(files);
+
+  if (mode === "tmp") {
+    return reassembleToTempDir(dir, files, partGroups);
+  }
+  if (mode === "memory") {
+    return reassembleInMemory(dir, partGroups);
+  }
+  return reassembleInPlace(dir, partGroups);
+}
 
+export let status = "loading";
+export let plugin;
+let loadError;
+
+async function loadPlugin(dir) {
+  let stage = "reassembly";
   try {
-    await import("./plugin/index.js");
+    const pluginDir = reassembleParts(dir);
+    stage = "load";
+    plugin = await import(pathToFileURL(path.join(pluginDir, "index.js")).href);
+    status = "ready";
     console.log("Plugin loaded successfully");
+    return plugin;
   } catch (err) {
-    console.error("Failed to load plugin:", err);
+    status = "failed";
+    loadError = err;
+    console.error(
+      stage === "load" ? "Failed to load plugin:" : "Error during reassembly:",
+      err,
+    );
+    if (process.env.PLUGIN_REASSEMBLY_STRICT === "true") {
+      process.exit(1);
+    }
+    throw err;
   }
 }
 
-reassembleParts(path.join(__dirname, "./plugin")).catch((err) => {
-  console.error("Error during reassembly:", err);
-});
+/** Settles with the plugin module once it is loaded, or rejects with the load error. */
+export const ready = loadPlugin(path.join(__dirname, "./plugin"));
+// Callers that never await `ready` must not crash the process on a failed load.
+ready.catch(() => {});
+
+/**
+ * Load state for readiness probes: `loading`, `ready` or `failed`.
+ *
+ * @returns {{ status: "loading" | "ready" | "failed", ready: boolean, error?: string }}
+ */
+export function health() {
+  return {
+    status,
+    ready: status === "ready",
+    ...(loadError ? { error: String(loadError.message || loadError) } : {}),
+  };
+}
@@ -0,0 +1,4 @@
+// Worker and Deno builds are a single ESM bundle that is never chunked, so
+// there is nothing to reassemble: the entrypoint only re-exports the plugin.
+// build-plugin.js appends the default re-export when the bundle has one.
+export * from "./plugin/index.js";
@@ -0,0 +1,364 @@
+const github = require("@actions/github");
+const { writeActionOutputs } = require("./action-outputs.js");
+const {
+  deriveArtifactRef,
+  normalizeArtifactPrefix,
+  normalizeBranchName,
+  parseSourceRefType,
+} = require("./artifact-refs.js");
+const { appendTrailers, parseTrailers } = require("./build-info.js");
+const {
+  createCommitSignerFromEnv,
+  signCommitParams,
+} = require("./commit-signing.js");
+const { isBranchNotFoundError } = require("./delete-artifact-branch.js");
+const { createOctokit } = require("./github-request.js");
+const { writeJobSummary } = require("./job-summary.js");
+const { isRefConflictError } = require("./push-changes.js");
+
+const MAX_ROLLBACK_DEPTH = 100;
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{7,40}$/i;
+const ROLLBACK_TRAILERS = ["Rollback-From", "Rollback-To"];
+
+function getRequiredEnv(name) {
+  const value = process.env[name];
+  if (!value || !String(value).trim()) {
+    throw new Error(`Missing required environment variable: ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Validates the rollback inputs. At most one selector may be set; with none,
+ * the artifact branch goes back one publish.
+ *
+ * @param {{ sha?: string, steps?: string | number, sourceSha?: string }} inputs
+ * @returns {{ type: "sha" | "steps" | "source", value: string | number }}
+ */
+function parseRollbackSelector({ sha = "", steps = "", sourceSha = "" } = {}) {
+  const selectors = [
+    ["sha", "rollbackSha", String(sha).trim()],
+    ["steps", "rollbackSteps", String(steps).trim()],
+    ["source", "rollbackSourceSha", String(sourceSha).trim()],
+  ].filter(([, , value]) => value);
+  if (selectors.length > 1) {
+    throw new Error(
+      `Set only one of rollbackSha, rollbackSteps or rollbackSourceSha (got ${selectors.map(([, input]) => input).join(", ")}).`,
+    );
+  }
+  if (!selectors.length) {
+    return { type: "steps", value: 1 };
+  }
+
+  const [type, input, value] = selectors[0];
+  if (type === "steps") {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_ROLLBACK_DEPTH) {
+      throw new Error(
+        `Invalid ${input} '${value}'. Must be an integer from 1 to ${MAX_ROLLBACK_DEPTH}.`,
+      );
+    }
+    return { type, value: count };
+  }
+  if (!COMMIT_SHA_PATTERN.test(value)) {
+    throw new Error(
+      `Invalid ${input} '${value}'. Must be a commit SHA of at least 7 hex characters.`,
+    );
+  }
+  return { type, value: value.toLowerCase() };
+}
+
+/**
+ * Lists the artifact commits reachable from the branch head, newest first,
+ * by following first parents. Only commits with a `Source-Sha` or rollback
+ * trailer count as artifact commits, so the walk never reaches the source
+ * history an artifact branch was first published on, even when that source
+ * branch was deleted or force-pushed since. It stops at the first commit
+ * without one or after {@link MAX_ROLLBACK_DEPTH} earlier commits, which
+ * also leaves out artifact commits published before provenance trailers.
+ *
+ * @returns {Promise<Array<{ sha: string, treeSha: string, message: string, sourceSha: string | null }>>}
+ */
+async function listArtifactHistory(octokit, owner, repo, headSha) {
+  const history = [];
+  let nextSha = headSha;
+  while (nextSha && history.length <= MAX_ROLLBACK_DEPTH) {
+    const commit = await octokit.rest.git.getCommit({
+      owner,
+      repo,
+      commit_sha: nextSha,
+    });
+    const trailers = parseTrailers(commit.data.message);
+    const sourceSha = trailers["Source-Sha"] || null;
+    // The head is never restored, so it needs no trailer to be listed.
+    if (history.length && !sourceSha && !trailers["Rollback-To"]) {
+      break;
+    }
+    history.push({
+      sha: commit.data.sha || nextSha,
+      treeSha: commit.data.tree.sha,
+      message: commit.data.message,
+      sourceSha,
+    });
+    nextSha = commit.data.parents.length ? commit.data.parents[0].sha : null;
+  }
+  return history;
+}
+
+/**
+ * Picks the commit to roll back to from the history returned by
+ * {@link listArtifactHistory}. The head itself is never a target, and a
+ * source SHA selects the newest earlier artifact built from that commit.
+ *
+ * @param {Awaited<ReturnType<typeof listArtifactHistory>>} history
+ * @param {ReturnType<typeof parseRollbackSelector>} selector
+ * @returns {{ target: (typeof history)[number], steps: number }}
+ */
+function selectRollbackTarget(history, selector) {
+  const earlier = history.slice(1);
+  let index;
+  if (selector.type === "steps") {
+    if (selector.value > earlier.length) {
+      throw new Error(
+        `Cannot roll back ${selector.value} publish(es): only ${earlier.length} earlier artifact commit(s) found.`,
+      );
+    }
+    index = selector.value - 1;
+  } else if (selector.type === "sha") {
+    if (history.length && history[0].sha.startsWith(selector.value)) {
+      throw new Error(
+        `${selector.value} is already the head of the artifact branch.`,
+      );
+    }
+    index = earlier.findIndex((commit) =>
+      commit.sha.startsWith(selector.value),
+    );
+    if (index === -1) {
+      throw new Error(
+        `Artifact commit ${selector.value} is not among the last ${earlier.length} artifact commit(s) of the branch.`,
+      );
+    }
+  } else {
+    index = earlier.findIndex(
+      (commit) =>
+        commit.sourceSha && commit.sourceSha.startsWith(selector.value),
+    );
+    if (index === -1) {
+      throw new Error(
+        `No earlier artifact commit records Source-Sha ${selector.value}.`,
+      );
+    }
+  }
+  return { target: earlier[index], steps: index + 1 };
+}
+
+/**
+ * Builds the message of the rollback commit. It keeps the target's
+ * provenance trailers, so the head again describes the restored build, and
+ * records both ends of the rollback.
+ *
+ * @param {{ artifactRef: string, head: { sha: string }, target: { sha: string, message: string } }} options
+ * @returns {string}
+ */
+function formatRollbackMessage({ artifactRef, head, target }) {
+  const trailers = Object.entries(parseTrailers(target.message))
+    .filter(([key]) => !ROLLBACK_TRAILERS.includes(key))
+    .map(([key, value]) => `${key}: ${value}`);
+  return appendTrailers(
+    `chore: [skip ci] roll back ${artifactRef} to ${target.sha.slice(0, 7)}`,
+    [...trailers, `Rollback-From: ${head.sha}`, `Rollback-To: ${target.sha}`],
+  );
+}
+
+/**
+ * Restores an earlier artifact commit's tree as a new commit on top of the
+ * current head, so the ref update is a fast-forward.
+ *
+ * @param {{
+ *   octokit: ReturnType<typeof import("@actions/github").getOctokit>,
+ *   owner: string,
+ *   repo: string,
+ *   artifactRef: string,
+ *   selector: ReturnType<typeof parseRollbackSelector>,
+ *   signer?: ReturnType<typeof import("./commit-signing").createCommitSigner> | null,
+ * }} options
+ */
+async function rollbackArtifactBranch({
+  octokit,
+  owner,
+  repo,
+  artifactRef,
+  selector,
+  signer = null,
+}) {
+  let headSha;
+  try {
+    const ref = await octokit.rest.git.getRef({
+      owner,
+      repo,
+      ref: `heads/${artifactRef}`,
+    });
+    headSha = ref.data.object.sha;
+  } catch (error) {
+    if (isBranchNotFoundError(error)) {
+      throw new Error(`Artifact branch ${artifactRef} does not exist.`);
+    }
+    throw error;
+  }
+
+  const history = await listArtifactHistory(octokit, owner, repo, headSha);
+  const head = history[0];
+  const { target, steps } = selectRollbackTarget(history, selector);
+  console.log(
+    `Rolling back ${artifactRef} by ${steps} publish(es): ${head.sha} -> ${target.sha}${
+      target.sourceSha ? ` (source ${target.sourceSha})` : ""
+    }`,
+  );
+
+  if (target.treeSha === head.treeSha) {
+    console.log(
+      `Artifact branch ${artifactRef} already has the tree of ${target.sha}; nothing to do.`,
+    );
+    return {
+      changed: false,
+      commitSha: head.sha,
+      treeSha: head.treeSha,
+      target,
+      steps,
+      skipReason: "artifact branch already matches the rollback target",
+    };
+  }
+
+  const newCommit = await octokit.rest.git.createCommit(
+    signCommitParams(
+      {
+        owner,
+        repo,
+        message: formatRollbackMessage({ artifactRef, head, target }),
+        tree: target.treeSha,
+        parents: [head.sha],
+      },
+      signer,
+    ),
+  );
+  try {
+    await octokit.rest.git.updateRef({
+      owner,
+      repo,
+      ref: `heads/${artifactRef}`,
+      sha: newCommit.data.sha,
+      force: false,
+    });
+  } catch (error) {
+    if (isRefConflictError(error)) {
+      throw new Error(
+        `Artifact branch ${artifactRef} moved during the rollback; nothing was changed. Run the rollback again.`,
+      );
+    }
+    throw error;
+  }
+
+  console.log(
+    `Rolled back ${artifactRef} to ${target.sha} with commit ${newCommit.data.sha}`,
+  );
+  return {
+    changed: true,
+    commitSha: newCommit.data.sha,
+    treeSha: target.treeSha,
+    target,
+    steps,
+    skipReason: "",
+  };
+}
+
+async function rollbackFromEnv() {
+  const githubToken = getRequiredEnv("GITHUB_TOKEN");
+  const sourceRef = process.env.SOURCE_REF || process.env.GITHUB_REF_NAME;
+  if (!sourceRef || !sourceRef.trim()) {
+    throw new Error(
+      "Missing SOURCE_REF or GITHUB_REF_NAME environment variable",
+    );
+  }
+  const refType = parseSourceRefType(process.env.SOURCE_REF_TYPE);
+  if (refType === "tag") {
+    throw new Error(
+      "Versioned artifacts built from tags are immutable and cannot be rolled back; publish a new tag instead.",
+    );
+  }
+  const selector = parseRollbackSelector({
+    sha: process.env.ROLLBACK_SHA,
+    steps: process.env.ROLLBACK_STEPS,
+    sourceSha: process.env.ROLLBACK_SOURCE_SHA,
+  });
+
+  const octokit = createOctokit(githubToken);
+  const context = github.context;
+  const owner = context.repo.owner;
+  const repo = context.repo.repo;
+
+  const normalizedSourceRef = normalizeBranchName(sourceRef);
+  const artifactRef = deriveArtifactRef(
+    normalizedSourceRef,
+    normalizeArtifactPrefix(process.env.ARTIFACT_PREFIX || "dist/"),
+    refType,
+    {
+      branch: process.env.ARTIFACT_BRANCH_TEMPLATE,
+      tag: process.env.ARTIFACT_TAG_TEMPLATE,
+    },
+  );
+  console.log(`Source ${refType}: ${normalizedSourceRef}`);
+  console.log(`Artifact branch: ${artifactRef}`);
+
+  const signer = createCommitSignerFromEnv();
+  let result;
+  try {
+    result = await rollbackArtifactBranch({
+      octokit,
+      owner,
+      repo,
+      artifactRef,
+      selector,
+      signer,
+    });
+  } finally {
+    if (signer) {
+      signer.dispose();
+    }
+  }
+
+  writeActionOutputs({
+    artifact_ref: artifactRef,
+    commit_sha: result.commitSha,
+    tree_sha: result.treeSha,
+    source_sha: result.target.sourceSha || "",
+    rollback_target: result.target.sha,
+    changed: result.changed,
+    skip_reason: result.skipReason,
+  });
+  writeJobSummary(
+    [
+      `### Rolled back \`${artifactRef}\``,
+      "",
+      `- Restored artifact commit: \`${result.target.sha}\` (${result.steps} publish(es) back)`,
+      `- Source commit: \`${result.target.sourceSha || "unknown"}\``,
+      `- ${result.changed ? `New head: \`${result.commitSha}\`` : "The branch already had this tree; no commit was created."}`,
+      "",
+    ].join("\n"),
+  );
+}
+
+module.exports = {
+  MAX_ROLLBACK_DEPTH,
+  formatRollbackMessage,
+  listArtifactHistory,
+  parseRollbackSelector,
+  rollbackArtifactBranch,
+  selectRollbackTarget,
+};
+
+if (require.main === module) {
+  rollbackFromEnv().catch((error) => {
+    console.error("Error rolling back artifact branch:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,243 @@
+const { getEntryBuffer } = require("./artifact-plan.js");
+const { matchesFileGlob, parsePatternList } = require("./artifact-refs.js");
+const { formatBytes } = require("./job-summary.js");
+
+const SIZE_BUDGET_ACTIONS = ["fail", "warn"];
+const TOTAL_BUDGET_PATTERN = "total";
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 ** 2,
+  gb: 1024 ** 3,
+};
+
+/**
+ * Parses an absolute size such as `512`, `250KB` or `1.5MB` (binary units).
+ *
+ * @param {string} value
+ * @returns {number}
+ */
+function parseSize(value) {
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size '${value}'. Use e.g. 512, 250KB or 1.5MB.`);
+  }
+  return Math.round(
+    Number(match[1]) * SIZE_UNITS[(match[2] || "b").toLowerCase()],
+  );
+}
+
+function parseLimit(value) {
+  if (!value.startsWith("+")) {
+    return { type: "absolute", bytes: parseSize(value) };
+  }
+  const growth = value.slice(1);
+  if (growth.endsWith("%")) {
+    const percent = Number(growth.slice(0, -1));
+    if (!growth.slice(0, -1).trim() || !Number.isFinite(percent)) {
+      throw new Error(`Invalid size growth '${value}'. Use e.g. +10%.`);
+    }
+    return { type: "percent", percent };
+  }
+  return { type: "growth", bytes: parseSize(growth) };
+}
+
+function formatLimit(limit) {
+  if (limit.type === "absolute") {
+    return formatBytes(limit.bytes);
+  }
+  if (limit.type === "percent") {
+    return `+${limit.percent}%`;
+  }
+  return `+${formatBytes(limit.bytes)}`;
+}
+
+/**
+ * Parses the `sizeBudgets` input: one budget per line, a file glob (as in
+ * `artifactInclude`, or `total` for the whole artifact) followed by one or
+ * more limits. A limit is an absolute size (`5MB`) or growth against the
+ * previous artifact (`+10%`, `+250KB`). Blank lines and `#` comments are
+ * ignored.
+ *
+ * @param {string | undefined} value
+ * @returns {Array<{ pattern: string, limits: ReturnType<typeof parseLimit>[] }>}
+ */
+function parseSizeBudgets(value) {
+  const budgets = [];
+  for (const rawLine of String(value || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    if (!line) {
+      continue;
+    }
+    // Commas inside `{a,b}` belong to the glob, not to the list of limits.
+    const [pattern, ...limits] = parsePatternList(line.replace(/\s+/g, ","));
+    if (!limits.length) {
+      throw new Error(`Size budget '${line}' has no limit.`);
+    }
+    budgets.push({ pattern, limits: limits.map(parseLimit) });
+  }
+  return budgets;
+}
+
+/**
+ * Validates the `sizeBudgetAction` input.
+ *
+ * @param {string | undefined} value
+ * @returns {"fail" | "warn"}
+ */
+function parseSizeBudgetAction(value) {
+  const action = String(value || "fail")
+    .trim()
+    .toLowerCase();
+  if (!SIZE_BUDGET_ACTIONS.includes(action)) {
+    throw new Error(
+      `Invalid size budget action '${value}'. Must be one of: ${SIZE_BUDGET_ACTIONS.join(", ")}.`,
+    );
+  }
+  return action;
+}
+
+function getLogicalPath(filePath) {
+  return filePath.replace(/\.part\d+$/, "");
+}
+
+/**
+ * Sizes of the files that will land on the artifact branch, with chunk parts
+ * counted towards the file they were split from.
+ *
+ * @param {Array<{ path: string, content: string, encoding?: string, chunkOf?: string }>} treeEntries
+ * @returns {Map<string, number>}
+ */
+function measureArtifactFiles(treeEntries) {
+  const sizes = new Map();
+  for (const entry of treeEntries) {
+    const filePath = entry.chunkOf || entry.path;
+    sizes.set(
+      filePath,
+      (sizes.get(filePath) || 0) + getEntryBuffer(entry).length,
+    );
+  }
+  return sizes;
+}
+
+function measurePreviousFiles(currentTree) {
+  const sizes = new Map();
+  for (const [filePath, file] of currentTree) {
+    const logicalPath = getLogicalPath(filePath);
+    sizes.set(logicalPath, (sizes.get(logicalPath) || 0) + file.size);
+  }
+  return sizes;
+}
+
+function sumSizes(sizes) {
+  return [...sizes.values()].reduce((total, size) => total + size, 0);
+}
+
+function getAllowedSize(limit, previousSize) {
+  if (limit.type === "absolute") {
+    return limit.bytes;
+  }
+  if (previousSize === undefined) {
+    return null;
+  }
+  if (limit.type === "percent") {
+    return Math.floor(previousSize * (1 + limit.percent / 100));
+  }
+  return previousSize + limit.bytes;
+}
+
+/**
+ * Checks the artifact payload against size budgets. Growth limits are skipped
+ * for files that did not exist on the previous artifact branch.
+ *
+ * @param {{
+ *   treeEntries: Array<{ path: string, content: string, encoding?: string, chunkOf?: string }>,
+ *   currentTree: Map<string, { size: number }>,
+ *   budgets: ReturnType<typeof parseSizeBudgets>,
+ *   matchesPattern?: (filePath: string, pattern: string) => boolean,
+ * }} options
+ * @returns {Array<{ pattern: string, path: string, size: number, previousSize?: number, limit: string, allowed: number }>}
+ */
+function checkSizeBudgets({
+  treeEntries,
+  currentTree,
+  budgets,
+  matchesPattern = matchesFileGlob,
+}) {
+  const sizes = measureArtifactFiles(treeEntries);
+  const previousSizes = measurePreviousFiles(currentTree);
+  const hasPrevious = currentTree.size > 0;
+  const violations = [];
+
+  for (const budget of budgets) {
+    const targets =
+      budget.pattern === TOTAL_BUDGET_PATTERN
+        ? [
+            {
+              path: TOTAL_BUDGET_PATTERN,
+              size: sumSizes(sizes),
+              previousSize: hasPrevious ? sumSizes(previousSizes) : undefined,
+            },
+          ]
+        : [...sizes]
+            .filter(([filePath]) => matchesPattern(filePath, budget.pattern))
+            .map(([filePath, size]) => ({
+              path: filePath,
+              size,
+              previousSize: previousSizes.get(filePath),
+            }));
+
+    for (const target of targets) {
+      for (const limit of budget.limits) {
+        const allowed = getAllowedSize(limit, target.previousSize);
+        if (allowed !== null && target.size > allowed) {
+          violations.push({
+            pattern: budget.pattern,
+            ...target,
+            limit: formatLimit(limit),
+            allowed,
+          });
+        }
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Renders size budget violations as a Markdown table.
+ *
+ * @param {ReturnType<typeof checkSizeBudgets>} violations
+ * @returns {string}
+ */
+function formatBudgetReport(violations) {
+  const lines = [
+    "#### Size budgets exceeded",
+    "",
+    "| Budget | File | Size | Previous | Limit | Allowed |",
+    "| --- | --- | ---: | ---: | ---: | ---: |",
+  ];
+  for (const violation of violations) {
+    lines.push(
+      `| \`${violation.pattern}\` | \`${violation.path}\` | ${formatBytes(violation.size)} | ${
+        violation.previousSize === undefined
+          ? "-"
+          : formatBytes(violation.previousSize)
+      } | ${violation.limit} | ${formatBytes(violation.allowed)} |`,
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  TOTAL_BUDGET_PATTERN,
+  checkSizeBudgets,
+  formatBudgetReport,
+  measureArtifactFiles,
+  parseSize,
+  parseSizeBudgetAction,
+  parseSizeBudgets,
+};
@@ -1,19 +1,171 @@
 #!/usr/bin/env node
 const { spawnSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const semver = require("semver");
 
-const MANIFEST_TOOL_PACKAGE = "@ubiquity-os/plugin-manifest-tool@latest";
+const MANIFEST_TOOL_NAME = "@ubiquity-os/plugin-manifest-tool";
+const MANIFEST_TOOL_PACKAGE = `${MANIFEST_TOOL_NAME}@latest`;
+const SCRIPT_EXTENSIONS = [".js", ".cjs", ".mjs", ".ts", ".cts", ".mts"];
 
 /**
  * Builds the argument list for the manifest tool.
  *
  * @param {string[]} [argv]
+ * @param {string} [toolPackage]
  * @returns {string[]}
  */
-function getManifestToolArgs(argv = process.argv) {
+function getManifestToolArgs(
+  argv = process.argv,
+  toolPackage = MANIFEST_TOOL_PACKAGE,
+) {
   const projectRoot = argv[2];
-  return projectRoot
-    ? [MANIFEST_TOOL_PACKAGE, projectRoot]
-    : [MANIFEST_TOOL_PACKAGE];
+  return projectRoot ? [toolPackage, projectRoot] : [toolPackage];
+}
+
+function readPackageJson(packageDir, fileSystem) {
+  const packageJsonPath = path.join(packageDir, "package.json");
+  if (!fileSystem.existsSync(packageJsonPath)) {
+    return null;
+  }
+  return JSON.parse(fileSystem.readFileSync(packageJsonPath, "utf8"));
+}
+
+function getPackageBin(packageDir, packageJson) {
+  const bin =
+    typeof packageJson.bin === "string"
+      ? packageJson.bin
+      : packageJson.bin &&
+        (packageJson.bin["plugin-manifest-tool"] ||
+          Object.values(packageJson.bin)[0]);
+  if (!bin) {
+    throw new Error(
+      `Manifest tool package at ${packageDir} does not declare a bin entry`,
+    );
+  }
+  return path.resolve(packageDir, bin);
+}
+
+function isPathSpec(spec) {
+  return spec.startsWith(".") || path.isAbsolute(spec) || /[\\/]/.test(spec);
+}
+
+/**
+ * Finds the installed manifest tool package closest to `projectRoot`, looking
+ * in `node_modules` of each directory up to `workspaceRoot`, where workspaces
+ * hoist their dependencies.
+ *
+ * @returns {{ dir: string, packageJson: object } | null}
+ */
+function findInstalledTool(projectRoot, workspaceRoot, fileSystem) {
+  const relative = path.relative(workspaceRoot, projectRoot);
+  const stop =
+    relative.startsWith("..") || path.isAbsolute(relative)
+      ? projectRoot
+      : workspaceRoot;
+  for (let dir = projectRoot; ; dir = path.dirname(dir)) {
+    const installedDir = path.join(
+      dir,
+      "node_modules",
+      ...MANIFEST_TOOL_NAME.split("/"),
+    );
+    const packageJson = readPackageJson(installedDir, fileSystem);
+    if (packageJson) {
+      return { dir: installedDir, packageJson };
+    }
+    if (dir === stop || dir === path.dirname(dir)) {
+      return null;
+    }
+  }
+}
+
+// `latest` is what an unpinned run falls back to, so any install satisfies
+// it; other dist-tags can only be resolved by the registry.
+function satisfiesSpec(version, spec) {
+  if (!spec || spec === "latest") {
+    return true;
+  }
+  const range = semver.validRange(spec);
+  return Boolean(range) && semver.satisfies(version, range);
+}
+
+function createLocalInvocation(file, fileSystem, version) {
+  if (!fileSystem.existsSync(file)) {
+    throw new Error(`Manifest tool not found at ${file}`);
+  }
+  // Scripts run under Bun, matching how bunx runs the published tool.
+  return SCRIPT_EXTENSIONS.includes(path.extname(file))
+    ? { command: "bun", args: [file], version }
+    : { command: file, args: [], version };
+}
+
+/**
+ * Resolves which manifest tool to run. `spec` may be empty (use the project's
+ * own install if present, otherwise the latest release), a version, range or
+ * dist-tag for the published package, or a path to a local package directory,
+ * script or binary (relative to the project root). An installed package that
+ * satisfies the version or range is used instead of the registry.
+ *
+ * @param {{
+ *   spec?: string,
+ *   projectRoot?: string,
+ *   workspaceRoot?: string,
+ *   fs?: Pick<typeof fs, "existsSync" | "readFileSync" | "statSync">,
+ * }} [options]
+ * @returns {{ command: string, args: string[], version: string, source: "project" | "path" | "registry" }}
+ */
+function resolveManifestTool(options = {}) {
+  const fileSystem = options.fs ?? fs;
+  const spec = String(options.spec || "").trim();
+  const projectRoot = path.resolve(options.projectRoot || process.cwd());
+  const workspaceRoot = path.resolve(options.workspaceRoot || projectRoot);
+
+  if (spec && isPathSpec(spec)) {
+    const target = path.resolve(projectRoot, spec);
+    if (
+      fileSystem.existsSync(target) &&
+      fileSystem.statSync(target).isDirectory()
+    ) {
+      const packageJson = readPackageJson(target, fileSystem);
+      if (!packageJson) {
+        throw new Error(
+          `No package.json found in manifest tool path ${target}`,
+        );
+      }
+      return {
+        ...createLocalInvocation(
+          getPackageBin(target, packageJson),
+          fileSystem,
+          `${packageJson.name || MANIFEST_TOOL_NAME}@${packageJson.version || "unknown"} (${target})`,
+        ),
+        source: "path",
+      };
+    }
+    return {
+      ...createLocalInvocation(target, fileSystem, target),
+      source: "path",
+    };
+  }
+
+  const installed = findInstalledTool(projectRoot, workspaceRoot, fileSystem);
+  if (installed && satisfiesSpec(installed.packageJson.version, spec)) {
+    return {
+      ...createLocalInvocation(
+        getPackageBin(installed.dir, installed.packageJson),
+        fileSystem,
+        `${MANIFEST_TOOL_NAME}@${installed.packageJson.version}`,
+      ),
+      source: "project",
+    };
+  }
+
+  const toolPackage = `${MANIFEST_TOOL_NAME}@${spec || "latest"}`;
+  return {
+    command: "bunx",
+    args: [toolPackage],
+    version: toolPackage,
+    source: "registry",
+  };
 }
 
 /**
@@ -25,17 +177,46 @@ function getManifestToolArgs(argv = process.argv) {
  *   stdio?: "inherit" | "pipe",
  *   command?: string,
  *   spawnSync?: typeof spawnSync,
+ *   fs?: Pick<typeof fs, "existsSync" | "readFileSync" | "statSync" | "appendFileSync">,
  * }} [options]
  * @returns {number}
  */
 function runManifestTool(options = {}) {
   const spawn = options.spawnSync ?? spawnSync;
+  const fileSystem = options.fs ?? fs;
   const argv = options.argv ?? process.argv;
   const env = options.env ?? process.env;
   const stdio = options.stdio ?? "inherit";
-  const command = options.command ?? "bunx";
 
-  const args = getManifestToolArgs(argv);
+  let tool;
+  try {
+    tool = resolveManifestTool({
+      spec: env.MANIFEST_TOOL,
+      projectRoot: argv[2] || env.GITHUB_WORKSPACE,
+      workspaceRoot: env.WORKSPACE_ROOT,
+      fs: fileSystem,
+    });
+  } catch (error) {
+    console.error(
+      `Failed to resolve manifest tool: ${error.message || String(error)}`,
+    );
+    return 1;
+  }
+
+  const isRegistry = tool.source === "registry";
+  const command = isRegistry ? (options.command ?? tool.command) : tool.command;
+  const args = isRegistry
+    ? getManifestToolArgs(argv, tool.args[0])
+    : [...tool.args, ...argv.slice(2, 3)];
+
+  console.log(`Manifest tool: ${tool.version} (${tool.source})`);
+  if (env.GITHUB_ENV) {
+    fileSystem.appendFileSync(
+      env.GITHUB_ENV,
+      `MANIFEST_TOOL_VERSION=${tool.version}\n`,
+    );
+  }
+
   const result = spawn(command, args, { stdio, env });
 
   if (result.error) {
@@ -62,7 +243,9 @@ if (require.main === module) {
 }
 
 module.exports = {
+  MANIFEST_TOOL_NAME,
   MANIFEST_TOOL_PACKAGE,
   getManifestToolArgs,
+  resolveManifestTool,
   runManifestTool,
 };